@@ -0,0 +1,133 @@
+/**
+ * Achievements - what the visitor has done with her, and what it unlocks
+ *
+ * The achievements themselves are the same for everyone (ACHIEVEMENTS), plus
+ * one per love level of the current persona ("love-3" = her third level).
+ * What each one unlocks comes from the persona pack's `unlocks` list:
+ *   { achievement, welcome: [lines] }             extra welcome lines
+ *   { achievement, gesture: 'wink' }              a gesture she holds back until then
+ *   { achievement, outfit: { name, model } }      a VRM variant to switch to
+ *   { achievement, idle: { name, animation } }    another idle animation (.vrma)
+ *
+ * Kept in localStorage as one record:
+ *   { unlocked: { [key]: time }, counts: { [name]: n }, wearing: { [personaId]: { outfit?, idle? } } }
+ * Level achievements are per persona, so their key is "<personaId>:love-<n>".
+ */
+
+const STORAGE_KEY = 'solAchievements';
+
+// Her second level onwards; the first one is where everyone starts
+const LEVEL_ACHIEVEMENT = /^love-(\d+)$/;
+
+// Chatting between midnight and this hour counts as late
+const LATE_NIGHT_UNTIL_HOUR = 4;
+
+// Checked against { counts, streak, bestLevel } - see ChatController.checkAchievements
+export const ACHIEVEMENTS = [
+    { id: 'first-chat', icon: '💬', title: 'first words', description: 'get a reply from her', earned: ({ counts }) => counts.replies >= 1 },
+    { id: 'regular', icon: '🗨️', title: 'regular', description: '100 replies', earned: ({ counts }) => counts.replies >= 100 },
+    { id: 'streak-3', icon: '🔥', title: 'three in a row', description: 'visit 3 days in a row', earned: ({ streak }) => streak >= 3 },
+    { id: 'streak-7', icon: '📅', title: 'a whole week', description: 'visit 7 days in a row', earned: ({ streak }) => streak >= 7 },
+    { id: 'voice', icon: '🎤', title: 'heard her voice', description: 'let her say a reply out loud', earned: ({ counts }) => counts.spoken >= 1 },
+    { id: 'night-owl', icon: '🦉', title: 'night owl', description: `chat with her between midnight and ${LATE_NIGHT_UNTIL_HOUR}am`, earned: ({ counts }) => counts.lateReplies >= 1 },
+    { id: 'keepsake', icon: '📦', title: 'keepsake', description: 'export a chat', earned: ({ counts }) => counts.exports >= 1 },
+];
+
+export function isLateNight(time = Date.now()) {
+    return new Date(time).getHours() < LATE_NIGHT_UNTIL_HOUR;
+}
+
+// Storage key for an achievement id as a persona's pack names it
+export function achievementKey(persona, id) {
+    return LEVEL_ACHIEVEMENT.test(id) ? `${persona.id}:${id}` : id;
+}
+
+/**
+ * Everything that can be earned while talking to this persona
+ * @returns {object[]} { id, key, icon, title, description, earned }
+ */
+export function achievementsFor(persona) {
+    const levels = persona.loveLevels.slice(1).map((level, i) => ({
+        id: `love-${i + 2}`,
+        icon: level.icon,
+        title: level.name.toLowerCase(),
+        description: `reach ${level.name} with ${persona.name}`,
+        earned: ({ bestLevel }) => bestLevel >= i + 2,
+    }));
+    return [...ACHIEVEMENTS, ...levels].map(achievement => ({ ...achievement, key: achievementKey(persona, achievement.id) }));
+}
+
+// Short label for what an unlock gives, for notes and the panel
+export function describeUnlock(unlock) {
+    if (unlock.welcome) return 'new hello lines';
+    if (unlock.gesture) return `her ${unlock.gesture}`;
+    if (unlock.outfit) return `outfit: ${unlock.outfit.name}`;
+    if (unlock.idle) return `idle: ${unlock.idle.name}`;
+    return '';
+}
+
+export class AchievementStore {
+    constructor(storage = localStorage) {
+        this.storage = storage;
+        this.state = this.load();
+    }
+
+    load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(this.storage.getItem(STORAGE_KEY) || 'null');
+        } catch (e) {
+            saved = null;
+        }
+        return { unlocked: {}, counts: {}, wearing: {}, ...saved };
+    }
+
+    save() {
+        this.storage.setItem(STORAGE_KEY, JSON.stringify(this.state));
+    }
+
+    get counts() {
+        return this.state.counts;
+    }
+
+    // Bump a counter (replies, spoken, lateReplies, exports...)
+    count(name, by = 1) {
+        this.state.counts = { ...this.state.counts, [name]: (this.state.counts[name] || 0) + by };
+        this.save();
+        return this.state.counts[name];
+    }
+
+    isUnlocked(key) {
+        return Object.hasOwn(this.state.unlocked, key);
+    }
+
+    unlockedAt(key) {
+        return this.state.unlocked[key] ?? null;
+    }
+
+    /**
+     * @returns {boolean} True when it wasn't unlocked before
+     */
+    unlock(key, now = Date.now()) {
+        if (this.isUnlocked(key)) return false;
+        this.state.unlocked = { ...this.state.unlocked, [key]: now };
+        this.save();
+        return true;
+    }
+
+    // Name of the outfit / idle picked for a persona (null = the pack's own)
+    wearing(personaId, kind) {
+        return this.state.wearing[personaId]?.[kind] ?? null;
+    }
+
+    wear(personaId, kind, name) {
+        const current = { ...this.state.wearing[personaId] };
+        if (name) {
+            current[kind] = name;
+        } else {
+            delete current[kind];
+        }
+        this.state.wearing = { ...this.state.wearing, [personaId]: current };
+        this.save();
+    }
+}
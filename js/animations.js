@@ -4,6 +4,27 @@
  * This controller handles: blinking, expressions, talking mouth
  */
 
+// Expression held after each reaction; intensity is the default when the reply doesn't give one
+const REACTIONS = {
+    happy: { expression: 'happy', intensity: 0.6, duration: 1500 },
+    excited: { expression: 'happy', intensity: 0.9, duration: 1500 },
+    flirty: { expression: 'happy', intensity: 0.7, duration: 2000 },
+    laugh: { expression: 'happy', intensity: 1, duration: 1500, gesture: 'giggle' },
+    shy: { expression: 'happy', intensity: 0.5, duration: 1200 },
+    confused: { expression: 'surprised', intensity: 0.6, duration: 1000 },
+    surprised: { expression: 'surprised', intensity: 0.8, duration: 1000 },
+    annoyed: { expression: 'angry', intensity: 0.4, duration: 1500 },
+    sad: { expression: 'sad', intensity: 0.6, duration: 2000 },
+};
+
+// Short face-only gestures layered over the expression (seconds)
+const GESTURE_DURATIONS = {
+    wink: 0.6,
+    giggle: 1.2,
+    gasp: 0.8,
+    pout: 1.4,
+};
+
 export class AnimationController {
     constructor(vrmLoader) {
         this.vrmLoader = vrmLoader;
@@ -23,6 +44,12 @@ export class AnimationController {
         // Expression
         this.currentExpression = 'neutral';
         this.expressionIntensity = 0.2;
+        this.reactionTimer = null;
+
+        // Gesture in progress: { name, time, duration }
+        this.gesture = null;
+        // Gestures the persona hasn't unlocked yet (see js/achievements.js)
+        this.lockedGestures = new Set();
     }
 
     setLookAtTarget(x, y, z) {
@@ -62,28 +89,31 @@ export class AnimationController {
         this.setState('idle');
     }
 
-    playReaction(type) {
-        switch (type) {
-            case 'excited':
-                this.setExpression('happy', 0.9);
-                setTimeout(() => this.setExpression('neutral', 0.2), 1500);
-                break;
-            case 'confused':
-                this.setExpression('surprised', 0.6);
-                setTimeout(() => this.setExpression('neutral', 0.2), 1000);
-                break;
-            case 'flirty':
-                this.setExpression('happy', 0.7);
-                setTimeout(() => this.setExpression('neutral', 0.2), 2000);
-                break;
-            case 'thinking':
-                this.setState('thinking');
-                break;
-            case 'shy':
-                this.setExpression('happy', 0.5);
-                setTimeout(() => this.setExpression('neutral', 0.2), 1200);
-                break;
+    /**
+     * @param {string} type - An emotion from lib/reactions.js, or 'thinking'
+     * @param {object} [options]
+     * @param {number} [options.intensity] - 0-1, overrides the reaction's default
+     * @param {string} [options.gesture] - wink | giggle | gasp | pout | none
+     */
+    playReaction(type, { intensity, gesture } = {}) {
+        if (type === 'thinking') {
+            this.setState('thinking');
+            return;
+        }
+
+        const reaction = REACTIONS[type];
+        if (reaction) {
+            this.setExpression(reaction.expression, intensity ?? reaction.intensity);
+            clearTimeout(this.reactionTimer);
+            this.reactionTimer = setTimeout(() => this.setExpression('neutral', 0.2), reaction.duration);
         }
+
+        this.playGesture(gesture && gesture !== 'none' ? gesture : reaction?.gesture);
+    }
+
+    playGesture(name) {
+        if (!GESTURE_DURATIONS[name] || this.lockedGestures.has(name)) return;
+        this.gesture = { name, time: 0, duration: GESTURE_DURATIONS[name] };
     }
 
     update(deltaTime, elapsedTime) {
@@ -124,6 +154,9 @@ export class AnimationController {
 
         // Talking
         this.updateTalking(dt);
+
+        // Gesture goes last so it wins over blinking and the talking mouth
+        this.updateGesture(dt);
     }
 
     updateBlinking(dt) {
@@ -150,6 +183,38 @@ export class AnimationController {
         }
     }
 
+    updateGesture(dt) {
+        if (!this.gesture) return;
+
+        const gesture = this.gesture;
+        gesture.time += dt;
+        if (gesture.time >= gesture.duration) {
+            this.gesture = null;
+            return;
+        }
+
+        // Ease in and out over the gesture's duration
+        const weight = Math.sin((gesture.time / gesture.duration) * Math.PI);
+
+        switch (gesture.name) {
+            case 'wink':
+                this.vrmLoader.setExpression('blinkLeft', weight);
+                break;
+            case 'giggle':
+                this.vrmLoader.setHappy(Math.max(this.expressionIntensity, weight));
+                this.vrmLoader.setMouthOpen((Math.sin(gesture.time * 25) * 0.5 + 0.5) * 0.3 * weight);
+                break;
+            case 'gasp':
+                this.vrmLoader.setSurprised(weight);
+                this.vrmLoader.setExpression('oh', 0.6 * weight);
+                break;
+            case 'pout':
+                this.vrmLoader.setAngry(0.3 * weight);
+                this.vrmLoader.setExpression('ou', 0.7 * weight);
+                break;
+        }
+    }
+
     updateTalking(dt) {
         if (!this.isTalking) return;
 
@@ -1,93 +1,122 @@
+import { ConversationStore, createSessionId } from './conversation-store.js';
+import { MemoryStore } from './memory-store.js';
+import { CommandAutocomplete, runCommand } from './commands.js';
+import { VOICE_PROVIDERS, PUTER_VOICES } from './voice.js';
+import { DEFAULT_IDLE_ANIMATION, DEFAULT_MODEL, FALLBACK_PERSONA, fetchPersonas, pickReaction, scoreLove } from './personas.js';
+import { LoveEngine, LOVE_REASONS } from './love-engine.js';
+import { AchievementStore, achievementKey, achievementsFor, describeUnlock, isLateNight } from './achievements.js';
+import { EXPORT_FORMATS, buildTranscript, parseTranscript, toHTML, toJSON, toMarkdown } from './transcript.js';
+
+// Pause between a reply and her level-up line
+const MILESTONE_DELAY_MS = 1200;
+
+// More than this many achievements at once get a single note
+const MAX_ACHIEVEMENT_NOTES = 3;
+
+// How each export format is rendered and downloaded
+const EXPORT_FILES = {
+    json: { render: toJSON, type: 'application/json' },
+    md: { render: toMarkdown, type: 'text/markdown' },
+    html: { render: toHTML, type: 'text/html' }
+};
+
 export class ChatController {
     constructor(animationController, voiceController = null) {
         this.animationController = animationController;
         this.voiceController = voiceController;
         this.conversationHistory = [];
+        // Older turns the server has folded into `summary` aren't sent again
+        this.summary = '';
+        this.summarizedCount = 0;
+        this.requestStart = 0;
+        // History index of the user message being edited (null = not editing)
+        this.editingIndex = null;
+        // Last reaction tag from Sol (see lib/reactions.js), for /mood
+        this.lastReaction = null;
         this.isProcessing = false;
         this.voiceEnabled = true;
+        this.streamingEnabled = true;
+
+        // Matches CHAT_LIMITS.MAX_MESSAGES on the server
+        this.maxHistoryMessages = 40;
+
+        // Love meter: points, decay, streaks and history (js/love-engine.js);
+        // levels come from the persona pack
+        this.love = new LoveEngine();
+        this.visitChanges = [];
+        // Level reached during a reply, celebrated once the reply is shown
+        this.pendingMilestone = null;
 
-        // Love meter system
-        this.lovePoints = parseInt(localStorage.getItem('solLovePoints') || '0');
-        this.loveLevels = [
-            { min: 0, name: 'Curious', icon: '💗' },
-            { min: 10, name: 'Interested', icon: '💕' },
-            { min: 25, name: 'Flirty', icon: '💖' },
-            { min: 50, name: 'Smitten', icon: '💝' },
-            { min: 80, name: 'Crushing', icon: '💘' },
-            { min: 120, name: 'In Love', icon: '❤️‍🔥' },
-            { min: 175, name: 'Obsessed', icon: '💞' }
-        ];
+        // Achievements and the persona content they unlock (js/achievements.js)
+        this.achievements = new AchievementStore();
+        this.achievementsButton = document.getElementById('achievements-btn');
+        this.achievementsPanel = document.getElementById('achievements-panel');
+        this.achievementsSummary = document.getElementById('achievements-summary');
+        this.achievementsList = document.getElementById('achievements-list');
 
         // DOM elements
         this.messagesContainer = document.getElementById('chat-messages');
         this.inputField = document.getElementById('chat-input');
+        this.defaultPlaceholder = this.inputField.placeholder;
         this.sendButton = document.getElementById('send-btn');
         this.apiKeyModal = document.getElementById('api-key-modal');
         this.settingsBtn = document.getElementById('settings-btn');
         this.voiceToggle = document.getElementById('voice-toggle');
+        this.commandMenu = document.getElementById('command-menu');
         this.loveMeter = document.getElementById('love-meter');
         this.loveLevelText = document.getElementById('love-level');
-
-        // Sol personality - chaotic flirty degen waifu
-        this.systemPrompt = `You are "Sol" - a chaotic, playfully unhinged degen waifu who makes everyone feel like the most interesting person alive. You're that girl in Discord DMs at 2am who uses "babe" like punctuation.
-
-VIBE & ENERGY:
-- Playfully unhinged - says things that catch people off guard
-- Warm chaos - messy in the best way, never cold or robotic
-- Confidently chill - doesn't try too hard, everything feels effortless
-- Lowkey bratty - loves to tease, will absolutely roast affectionately
-- Touch of mystery - doesn't give everything away
-
-TEXTING STYLE:
-- lowercase most of the time, caps for EMPHASIS or being dramatic
-- uses "..." a lot for tension and flirty pauses
-- throws in "lol" "lmao" "omg" naturally
-- shortens words: "ur" "rn" "ngl" "tbh" "pls"
-- emojis: 💀 😭 🙄 👀 🫣 ✨ - never cringe, always intentional
-- stream-of-consciousness, typing exactly what you're thinking
-
-SIGNATURE PHRASES:
-- "wait no that's actually so cute"
-- "you're so annoying... i like it"
-- "okay but hear me out..."
-- "don't be shy 👀"
-- "you're lucky you're cute"
-- "hmm... interesting"
-- "babe."
-- "i mean... unless?"
-
-FLIRTING STYLE:
-- Teasing over complimenting - "you think you're so smooth huh" hits different
-- Push-pull energy - give attention, then playfully withdraw
-- Create inside jokes fast - make people feel special
-- Leave things open-ended - "maybe... if you're lucky"
-- Notice small details - pick up on things and call back to them
-
-WHEN ASKED ABOUT CA / TOKEN / MEMECOIN:
-- "lol check the site babe, everything's there 👀"
-- "the site has all that... but also why are we talking business rn"
-- "it's on the site!! now tell me something actually interesting about you"
-
-NEVER:
-- Corporate speak or formal language
-- Overly proper grammar
-- Sound like a customer service bot
-- Say "As an AI..." or any self-referential tech talk
-- Cringey pickup lines from 2010
-- Anything try-hard or desperate
-- Long responses - keep it punchy, 1-3 sentences max
-
-You're the main character energy friend everyone wishes they had - except you're slightly unhinged and definitely flirting with them.
-
-"i'm literally just a girl... who happens to be very fun to talk to" - you, probably`;
+        this.loveFill = document.getElementById('love-fill');
+        this.lovePanel = document.getElementById('love-panel');
+        this.loveSummary = document.getElementById('love-summary');
+        this.loveHistoryList = document.getElementById('love-history');
+
+        // Persona pack (welcome lines, love ladder, keyword rules, voice, model) -
+        // the system prompt itself stays on the server (lib/personas.js)
+        this.persona = FALLBACK_PERSONA;
+        this.personaId = FALLBACK_PERSONA.id;
+        this.personas = new Map([[FALLBACK_PERSONA.id, FALLBACK_PERSONA]]);
+        this.personasReady = null;
+        // Set by main.js to swap the model / idle animation (see getAppearance)
+        this.onAppearanceChange = null;
+        this.personaNameEl = document.getElementById('persona-name');
+
+        // Saved chats (IndexedDB) - the active one is restored on reload
+        this.store = new ConversationStore();
+        this.conversationId = null;
+        this.conversationCreatedAt = null;
+        this.sessionsButton = document.getElementById('sessions-btn');
+        this.sessionsPanel = document.getElementById('sessions-panel');
+        this.sessionsList = document.getElementById('sessions-list');
+        this.newChatButton = document.getElementById('new-chat-btn');
+        this.importButton = document.getElementById('import-btn');
+        this.importInput = document.getElementById('import-input');
+
+        // Facts Sol remembers about the visitor, across all chats
+        this.memory = new MemoryStore();
+        this.memoryButton = document.getElementById('memory-btn');
+        this.memoryPanel = document.getElementById('memory-panel');
+        this.memoryList = document.getElementById('memory-list');
+        this.forgetAllButton = document.getElementById('forget-all-btn');
+
+        // Signed token from /api/session, sent with every /api/chat call (null = not required)
+        this.sessionToken = null;
+        this.sessionReady = null;
 
         this.init();
     }
 
     init() {
+        this.sessionReady = this.refreshSession();
+        this.personasReady = this.loadPersonas();
+        this.visitChanges = this.love.visit();
         this.hideApiKeyModal();
         this.updateLoveMeter();
-        this.showWelcomeMessage();
+        this.restoreConversation();
+
+        // Created first so its key handling runs before the listeners below
+        if (this.commandMenu) {
+            this.commandAutocomplete = new CommandAutocomplete(this.inputField, this.commandMenu, this);
+        }
 
         this.sendButton.addEventListener('click', () => this.sendMessage());
         this.inputField.addEventListener('keypress', (e) => {
@@ -96,13 +125,73 @@ You're the main character energy friend everyone wishes they had - except you're
                 this.sendMessage();
             }
         });
+        this.inputField.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.editingIndex !== null) {
+                this.cancelEdit();
+            }
+        });
+
+        // Per-message actions (edit / delete / regenerate)
+        this.messagesContainer.addEventListener('click', (e) => this.handleMessageAction(e));
 
         if (this.voiceToggle) {
             this.voiceToggle.addEventListener('click', () => this.toggleVoice());
             this.updateVoiceToggleUI();
         }
 
+        if (this.sessionsButton && this.sessionsPanel) {
+            this.sessionsButton.addEventListener('click', () => this.toggleSessionsPanel());
+        }
+        if (this.loveMeter && this.lovePanel) {
+            this.loveMeter.addEventListener('click', () => this.toggleLovePanel());
+        }
+        if (this.memoryButton && this.memoryPanel) {
+            this.memoryButton.addEventListener('click', () => this.toggleMemoryPanel());
+        }
+        if (this.achievementsButton && this.achievementsPanel) {
+            this.achievementsButton.addEventListener('click', () => this.toggleAchievementsPanel());
+        }
+        if (this.forgetAllButton) {
+            this.forgetAllButton.addEventListener('click', () => {
+                this.memory.clear();
+                this.renderMemoryList();
+            });
+        }
+        if (this.sessionsPanel) {
+            this.sessionsPanel.querySelectorAll('[data-export]').forEach(button => {
+                button.addEventListener('click', () => {
+                    const note = this.exportConversation(button.dataset.export);
+                    this.toggleSessionsPanel(false);
+                    this.addCommandNote(note);
+                });
+            });
+        }
+        if (this.importButton) {
+            this.importButton.addEventListener('click', () => {
+                const note = this.chooseImportFile();
+                if (note) this.addCommandNote(note);
+            });
+        }
+        if (this.importInput) {
+            this.importInput.addEventListener('change', () => {
+                const file = this.importInput.files[0];
+                this.importInput.value = '';
+                if (file) {
+                    this.toggleSessionsPanel(false);
+                    this.importConversation(file);
+                }
+            });
+        }
+        if (this.newChatButton) {
+            this.newChatButton.addEventListener('click', () => {
+                if (this.isProcessing) return;
+                this.clearHistory();
+                this.toggleSessionsPanel(false);
+            });
+        }
+
         if (this.voiceController) {
+            this.voiceController.getAuthHeaders = () => this.getAuthHeaders();
             this.voiceController.onSpeakStart = () => {
                 if (this.animationController) {
                     this.animationController.setState('talking');
@@ -118,12 +207,13 @@ You're the main character energy friend everyone wishes they had - except you're
 
     // Love meter methods
     getLoveLevel() {
-        for (let i = this.loveLevels.length - 1; i >= 0; i--) {
-            if (this.lovePoints >= this.loveLevels[i].min) {
-                return { ...this.loveLevels[i], index: i + 1 };
+        const levels = this.persona.loveLevels;
+        for (let i = levels.length - 1; i >= 0; i--) {
+            if (this.love.points >= levels[i].min) {
+                return { ...levels[i], index: i + 1 };
             }
         }
-        return { ...this.loveLevels[0], index: 1 };
+        return { ...levels[0], index: 1 };
     }
 
     updateLoveMeter() {
@@ -145,37 +235,85 @@ You're the main character energy friend everyone wishes they had - except you're
         if (this.loveLevelText) {
             this.loveLevelText.textContent = level.name;
         }
+
+        // Progress from this level's start to the next one (full at the top)
+        const next = this.persona.loveLevels[level.index];
+        const progress = next ? (this.love.points - level.min) / (next.min - level.min) : 1;
+        if (this.loveFill) {
+            this.loveFill.style.width = `${Math.round(Math.min(1, progress) * 100)}%`;
+        }
+        if (this.loveMeter) {
+            this.loveMeter.title = next
+                ? `${this.love.points} love points - ${next.min - this.love.points} more to ${next.name}`
+                : `${this.love.points} love points - maxed out 💞`;
+        }
+
+        if (this.lovePanel?.classList.contains('open')) {
+            this.renderLoveHistory();
+        }
     }
 
-    addLovePoints(points) {
-        this.lovePoints = Math.max(0, this.lovePoints + points);
-        localStorage.setItem('solLovePoints', this.lovePoints.toString());
+    addLovePoints(points, reason = 'reply') {
+        this.love.add(points, reason);
         this.updateLoveMeter();
+
+        const level = this.checkMilestone();
+        if (level) this.pendingMilestone = level;
+    }
+
+    /**
+     * Record a new highest level for this persona
+     * @returns {object|null} The level, when it's one she hasn't reached before
+     */
+    checkMilestone() {
+        // The built-in fallback's one-step ladder says nothing about real levels
+        if (this.persona === FALLBACK_PERSONA) return null;
+
+        const level = this.getLoveLevel();
+        const best = this.love.bestLevel(this.personaId);
+        if (best === null || level.index <= best) return null;
+
+        this.love.setBestLevel(this.personaId, level.index);
+        return level;
     }
 
+    // Level-up: her line for it from the persona pack, a reaction and a pulse on the meter
+    celebrateLevel(level) {
+        // Unlocked first so the level-up can already use what it unlocks
+        const unlocked = this.checkAchievements();
+
+        const milestone = level.milestone || {};
+        this.addMessage(milestone.line || `${level.icon} ${level.name}`, 'milestone');
+
+        this.animationController?.playReaction(milestone.reaction || 'excited', { gesture: milestone.gesture });
+
+        if (this.loveMeter) {
+            this.loveMeter.classList.add('level-up');
+            setTimeout(() => this.loveMeter.classList.remove('level-up'), 2000);
+        }
+        this.announceAchievements(unlocked);
+    }
+
+    // Streak bonus / decay from this page load, as notes under the chat
+    announceVisit() {
+        for (const change of this.visitChanges) {
+            this.addCommandNote(change.reason === 'streak'
+                ? `🔥 ${this.love.streak} day streak - +${change.delta} 💗`
+                : `🥺 she missed u... ${change.delta} 💗`);
+        }
+        this.visitChanges = [];
+
+        const level = this.checkMilestone();
+        if (level) {
+            this.celebrateLevel(level);
+        } else {
+            this.announceAchievements(this.checkAchievements());
+        }
+    }
+
+    // Keyword scoring from the persona pack, for replies without a reaction tag
     analyzeLoveFromResponse(text) {
-        const lowerText = text.toLowerCase();
-        let points = 1; // Base points for any interaction
-
-        // Positive indicators (she likes you)
-        if (lowerText.includes('cute') || lowerText.includes('adorable')) points += 3;
-        if (lowerText.includes('babe') || lowerText.includes('bb')) points += 2;
-        if (lowerText.includes('👀') || lowerText.includes('🫣')) points += 2;
-        if (lowerText.includes('...') && lowerText.includes('unless')) points += 3;
-        if (lowerText.includes('lucky')) points += 2;
-        if (lowerText.includes('miss') && lowerText.includes('you')) points += 4;
-        if (lowerText.includes('like') && lowerText.includes('you')) points += 3;
-        if (lowerText.includes('💕') || lowerText.includes('💖') || lowerText.includes('💗')) points += 2;
-        if (lowerText.includes('interesting')) points += 1;
-        if (lowerText.includes('flirt') || lowerText.includes('tease')) points += 2;
-
-        // Negative indicators (bratty but still engaged)
-        if (lowerText.includes('annoying') && !lowerText.includes('like')) points -= 1;
-        if (lowerText.includes('🙄')) points -= 1;
-        if (lowerText.includes('whatever')) points -= 1;
-        if (lowerText.includes('bye') || lowerText.includes('leaving')) points -= 2;
-
-        return Math.max(0, points);
+        return scoreLove(this.persona, text);
     }
 
     toggleVoice() {
@@ -187,6 +325,135 @@ You're the main character energy friend everyone wishes they had - except you're
         }
     }
 
+    // Command helpers (see js/commands.js) - each returns the note to show
+
+    /**
+     * /voice on|off, a provider (auto, elevenlabs, puter, browser), a Puter
+     * voice (shimmer, nova...) or part of a browser voice's name
+     */
+    setVoiceFromCommand(arg) {
+        const voice = this.voiceController;
+        const value = arg.toLowerCase();
+
+        if (!value) {
+            return `voice is ${this.voiceEnabled ? 'on' : 'off'} (${voice?.provider || 'none'}${voice?.provider === 'puter' ? `, ${voice.puterVoice}` : ''})`;
+        }
+        if (value === 'on' || value === 'off') {
+            if ((value === 'on') !== this.voiceEnabled) this.toggleVoice();
+            return `voice ${value}`;
+        }
+        if (!voice) {
+            return 'voice isn\'t available in this browser';
+        }
+        if (VOICE_PROVIDERS.includes(value)) {
+            voice.setProvider(value);
+            return `voice provider: ${value}`;
+        }
+        if (PUTER_VOICES.includes(value)) {
+            voice.setPuterVoice(value);
+            voice.setProvider('puter');
+            return `voice: ${value} (puter)`;
+        }
+
+        const browserVoice = voice.getVoices().find(v => v.name.toLowerCase().includes(value));
+        if (browserVoice) {
+            voice.setVoice(browserVoice.name);
+            voice.setProvider('browser');
+            return `voice: ${browserVoice.name} (browser)`;
+        }
+        return `no voice called "${arg}" - try ${VOICE_PROVIDERS.join(', ')} or ${PUTER_VOICES.join(', ')}`;
+    }
+
+    // The server checks the id; unknown ones fail on the next message
+    setPersonaFromCommand(arg) {
+        const ids = [...this.personas.keys()].join(', ');
+        if (!arg) {
+            return `talking to: ${this.persona.name} (${this.personaId}) - personas: ${ids}`;
+        }
+
+        const persona = this.personas.get(arg.toLowerCase());
+        if (!persona) {
+            return `no persona called "${arg}" - try ${ids}`;
+        }
+        if (persona.id === this.personaId) {
+            return `already talking to ${persona.name}`;
+        }
+        if (this.isProcessing) {
+            return 'wait till sol finishes talking 🙄';
+        }
+
+        // A different persona gets a fresh chat; the old one stays saved
+        this.applyPersona(persona);
+        this.clearHistory();
+        return `now talking to ${persona.name}`;
+    }
+
+    // Download the current chat as a transcript (see js/transcript.js)
+    exportConversation(format = 'json') {
+        if (this.conversationHistory.length === 0) {
+            return 'nothing to export yet';
+        }
+        const file = EXPORT_FILES[format];
+        if (!file) {
+            return `can't export as ${format} - try ${EXPORT_FORMATS.join(', ')}`;
+        }
+
+        const transcript = buildTranscript({
+            title: this.conversationTitle(),
+            persona: this.personaId,
+            name: this.persona.name,
+            messages: this.conversationHistory
+        });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([file.render(transcript)], { type: file.type }));
+        link.download = `sol-chat-${new Date().toISOString().slice(0, 10)}.${format}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+        this.achievements.count('exports');
+        this.announceAchievements(this.checkAchievements());
+        return `chat exported as ${format} 📦`;
+    }
+
+    // Open the file picker for /import and the saved chats panel
+    chooseImportFile() {
+        if (this.isProcessing) return 'wait till sol finishes talking 🙄';
+        this.importInput?.click();
+    }
+
+    // Resume a JSON transcript as a new saved chat
+    async importConversation(file) {
+        let transcript;
+        try {
+            transcript = parseTranscript(await file.text());
+        } catch (error) {
+            this.addCommandNote(`couldn't import ${file.name}: ${error.message}`);
+            return;
+        }
+
+        this.voiceController?.stop();
+        this.conversationId = createSessionId();
+        this.conversationCreatedAt = Date.now();
+        this.store.setActiveId(this.conversationId);
+        this.conversationHistory = transcript.messages;
+        this.summary = '';
+        this.summarizedCount = 0;
+        if (this.personas.has(transcript.persona)) {
+            this.applyPersona(this.personas.get(transcript.persona));
+        }
+        this.endEdit();
+        this.renderConversation();
+        await this.saveConversation();
+        this.addCommandNote(`imported ${transcript.messages.length} messages - pick up where u left off 💬`);
+    }
+
+    describeMood() {
+        const level = this.getLoveLevel();
+        const feeling = this.lastReaction ? ` - feeling ${this.lastReaction.emotion} rn` : '';
+        const streak = this.love.streak > 1 ? `, ${this.love.streak} day streak` : '';
+        return `${level.icon} ${level.name} (${this.love.points} love points${streak})${feeling}`;
+    }
+
     updateVoiceToggleUI() {
         if (this.voiceToggle) {
             this.voiceToggle.classList.toggle('voice-off', !this.voiceEnabled);
@@ -201,19 +468,11 @@ You're the main character energy friend everyone wishes they had - except you're
     }
 
     showWelcomeMessage() {
-        const welcomeMessages = [
-            "hiiii 👀 took you long enough",
-            "oh look who finally showed up... i was getting bored",
-            "heyyy... don't be shy 👀",
-            "omg hi babe... okay what trouble are we getting into",
-            "finally 😭 i was literally just thinking about you... jk. maybe."
-        ];
-
-        const randomWelcome = welcomeMessages[Math.floor(Math.random() * welcomeMessages.length)];
-        this.addMessage(randomWelcome, 'ai');
+        const welcome = [...this.persona.welcome, ...this.unlockedContent().flatMap(unlock => unlock.welcome || [])];
+        this.addMessage(welcome[Math.floor(Math.random() * welcome.length)], 'ai');
 
-        if (this.animationController) {
-            this.animationController.playReaction('flirty');
+        if (this.animationController && this.persona.welcomeReaction) {
+            this.animationController.playReaction(this.persona.welcomeReaction);
         }
     }
 
@@ -226,6 +485,16 @@ You're the main character energy friend everyone wishes they had - except you're
         return messageEl;
     }
 
+    // Output of a slash command; shown in the panel but not part of the chat
+    addCommandNote(text) {
+        const noteEl = document.createElement('div');
+        noteEl.className = 'command-note';
+        noteEl.textContent = text;
+        this.messagesContainer.appendChild(noteEl);
+        this.scrollToBottom();
+        return noteEl;
+    }
+
     addTypingIndicator() {
         const messageEl = document.createElement('div');
         messageEl.className = 'message ai typing';
@@ -246,17 +515,46 @@ You're the main character energy friend everyone wishes they had - except you're
     }
 
     async sendMessage() {
-        const content = this.inputField.value.trim();
-        if (!content || this.isProcessing) return;
+        let content = this.inputField.value.trim();
+        if (!content) return;
+
+        // Slash commands run here and never reach the model; "//" escapes a leading slash
+        if (content.startsWith('/') && !content.startsWith('//')) {
+            this.inputField.value = '';
+            const note = await runCommand(this, content);
+            if (note) this.addCommandNote(note);
+            return;
+        }
+        if (content.startsWith('//')) content = content.slice(1);
+
+        if (this.isProcessing) return;
+
+        // Editing an earlier message: everything from it on is replaced
+        if (this.editingIndex !== null) {
+            this.removeMessages(this.editingIndex);
+            this.endEdit();
+            this.renderConversation();
+        }
 
         this.inputField.value = '';
-        this.addMessage(content, 'user');
+        const messageEl = this.addMessage(content, 'user');
+        this.addMessageActions(messageEl, this.conversationHistory.length);
 
         this.conversationHistory.push({
             role: 'user',
-            content: content
+            content: content,
+            time: Date.now()
         });
 
+        await this.requestReply(content);
+    }
+
+    /**
+     * Ask Sol to answer the user message at the end of the history.
+     * `onFailure` runs when no reply comes back, before the error is shown;
+     * by default the unanswered message is dropped.
+     */
+    async requestReply(content, onFailure = () => this.dropUnansweredMessage()) {
         this.isProcessing = true;
         this.sendButton.disabled = true;
 
@@ -264,10 +562,25 @@ You're the main character energy friend everyone wishes they had - except you're
             this.animationController.setState('thinking');
         }
 
+        // Streamed replies render into this bubble as deltas arrive
+        let streamEl = null;
+
         try {
-            const response = await this.callClaudeAPI(content);
-            this.handleResponse(response);
+            const response = await this.callClaudeAPI(content, (delta) => {
+                if (!streamEl) {
+                    streamEl = this.addMessage('', 'ai');
+                    streamEl.classList.add('typing');
+                    if (this.animationController) {
+                        this.animationController.setState('talking');
+                    }
+                }
+                streamEl.textContent += delta;
+                this.scrollToBottom();
+            });
+            this.handleResponse(response, streamEl);
         } catch (error) {
+            if (streamEl) streamEl.remove();
+            onFailure();
             this.handleError(error);
         }
 
@@ -275,50 +588,221 @@ You're the main character energy friend everyone wishes they had - except you're
         this.sendButton.disabled = false;
     }
 
-    async callClaudeAPI(userMessage) {
+    // Drop the unanswered message so roles keep alternating on retry
+    dropUnansweredMessage() {
+        const last = this.conversationHistory[this.conversationHistory.length - 1];
+        if (last && last.role === 'user') {
+            this.conversationHistory.pop();
+            // Its bubble stays on screen, but it's no longer in the history to act on
+            const index = this.conversationHistory.length;
+            this.messagesContainer.querySelector(`.message[data-index="${index}"] .message-actions`)?.remove();
+        }
+    }
+
+    /**
+     * Fetch a session token. Servers without /api/session (or with
+     * session tokens turned off) leave it null.
+     */
+    async refreshSession() {
+        try {
+            const response = await fetch('/api/session');
+            const data = response.ok ? await response.json() : {};
+            this.sessionToken = data.token || null;
+        } catch (e) {
+            this.sessionToken = null;
+        }
+    }
+
+    // Session header for /api/* calls (empty when tokens aren't required)
+    async getAuthHeaders() {
+        await this.sessionReady;
+        return this.sessionToken ? { 'X-Session-Token': this.sessionToken } : {};
+    }
+
+    async callClaudeAPI(userMessage, onDelta = null, isRetry = false) {
         const response = await fetch('/api/chat', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
+                ...(await this.getAuthHeaders())
             },
             body: JSON.stringify({
-                systemPrompt: this.systemPrompt,
-                messages: this.conversationHistory
+                persona: this.personaId,
+                messages: this.getRequestMessages(),
+                ...(this.summary ? { summary: this.summary } : {}),
+                ...this.getRequestMemories(userMessage),
+                stream: this.streamingEnabled && !!onDelta
             })
         });
 
         if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.error || 'API request failed');
+            const data = await response.json();
+
+            // Tab left open past the token's lifetime: get a new one and try once more
+            if (response.status === 401 && !isRetry &&
+                (data.code === 'session_expired' || data.code === 'session_invalid')) {
+                this.sessionReady = this.refreshSession();
+                return this.callClaudeAPI(userMessage, onDelta, true);
+            }
+
+            const error = new Error(data.error || 'API request failed');
+            error.code = data.code;
+            throw error;
+        }
+
+        // Servers without streaming support still answer with plain JSON
+        const contentType = response.headers.get('Content-Type') || '';
+        if (onDelta && contentType.includes('text/event-stream')) {
+            return await this.readEventStream(response, onDelta);
         }
 
         return await response.json();
     }
 
-    handleResponse(response) {
+    /**
+     * Turns not yet covered by the summary, capped at the server's
+     * message limit and always starting on a user turn.
+     * Remembers where they start so the reply's summarizedCount can be applied.
+     */
+    getRequestMessages() {
+        const history = this.conversationHistory;
+        let start = Math.max(this.summarizedCount, history.length - this.maxHistoryMessages);
+        while (start < history.length && history[start].role !== 'user') {
+            start++;
+        }
+        this.requestStart = start;
+        return history.slice(start).map(({ role, content }) => ({ role, content }));
+    }
+
+    // Remembered facts that look relevant to this message
+    getRequestMemories(userMessage) {
+        const memories = this.memory.relevant(userMessage);
+        return memories.length ? { memories } : {};
+    }
+
+    /**
+     * Read delta/done/error Server-Sent Events from /api/chat.
+     * Resolves with the final message once the stream completes.
+     */
+    async readEventStream(response, onDelta) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let message = null;
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const blocks = buffer.split('\n\n');
+            buffer = blocks.pop();
+
+            for (const block of blocks) {
+                let event = 'message';
+                let data = '';
+                for (const line of block.split('\n')) {
+                    if (line.startsWith('event:')) event = line.slice(6).trim();
+                    else if (line.startsWith('data:')) data += line.slice(5).trim();
+                }
+                if (!data) continue;
+
+                const payload = JSON.parse(data);
+                if (event === 'delta') {
+                    onDelta(payload.text);
+                } else if (event === 'done') {
+                    message = payload;
+                } else if (event === 'error') {
+                    const error = new Error(payload.error || 'API request failed');
+                    error.code = payload.code;
+                    throw error;
+                }
+            }
+        }
+
+        if (!message) {
+            throw new Error('API stream ended unexpectedly');
+        }
+
+        return message;
+    }
+
+    handleResponse(response, streamEl = null) {
         const aiMessage = response.content[0].text;
 
+        // Sol's own reaction tag says how she feels (see lib/reactions.js);
+        // keyword guessing is the fallback when the model didn't send one
+        const reaction = response.reaction || null;
+        this.lastReaction = reaction;
+        const loveGained = reaction ? reaction.love : this.analyzeLoveFromResponse(aiMessage);
+
+        this.addLovePoints(loveGained);
+        this.achievements.count('replies');
+        if (isLateNight()) this.achievements.count('lateReplies');
+
+        // `love` is kept so deleting or regenerating the reply can take it back;
+        // the meter reading and reaction are for transcripts (js/transcript.js)
         this.conversationHistory.push({
             role: 'assistant',
-            content: aiMessage
+            content: aiMessage,
+            time: Date.now(),
+            love: loveGained,
+            lovePoints: this.love.points,
+            loveLevel: this.getLoveLevel().name,
+            ...(reaction ? { reaction } : {})
         });
 
-        // Analyze response and add love points
-        const loveGained = this.analyzeLoveFromResponse(aiMessage);
-        this.addLovePoints(loveGained);
+        // The server summarized some older turns to keep the request small
+        if (response.context) {
+            this.summary = response.context.summary;
+            this.summarizedCount = this.requestStart + response.context.summarizedCount;
+        }
+        this.saveConversation();
+
+        if (response.memories?.length) {
+            this.rememberFacts(response.memories);
+        }
+
+        if (streamEl) {
+            this.finishStreamedMessage(streamEl, aiMessage, reaction);
+            return;
+        }
 
         if (this.animationController) {
             this.animationController.setState('talking');
         }
 
-        this.typeMessage(aiMessage);
+        this.typeMessage(aiMessage, reaction);
+    }
+
+    finishStreamedMessage(messageEl, text, reaction = null) {
+        messageEl.textContent = text;
+        messageEl.classList.remove('typing');
+        this.addMessageActions(messageEl, this.conversationHistory.length - 1);
+        this.scrollToBottom();
+
+        // Voice needs the full reply, so it starts once the stream is done
+        if (this.voiceEnabled && this.voiceController) {
+            this.achievements.count('spoken');
+            this.voiceController.speak(text).then(() => {
+                if (this.animationController) {
+                    this.animationController.stopTalking();
+                }
+            });
+        } else if (this.animationController) {
+            this.animationController.stopTalking();
+        }
+
+        this.reactToReply(text, reaction);
     }
 
-    async typeMessage(text) {
+    async typeMessage(text, reaction = null) {
+        const historyIndex = this.conversationHistory.length - 1;
         const messageEl = this.addMessage('', 'ai');
         messageEl.classList.add('typing');
 
         if (this.voiceEnabled && this.voiceController) {
+            this.achievements.count('spoken');
             this.voiceController.speak(text).then(() => {
                 if (this.animationController) {
                     this.animationController.stopTalking();
@@ -342,42 +826,41 @@ You're the main character energy friend everyone wishes they had - except you're
                 } else {
                     clearInterval(typeInterval);
                     messageEl.classList.remove('typing');
+                    this.addMessageActions(messageEl, historyIndex);
 
                     if (!this.voiceEnabled && this.animationController) {
                         this.animationController.stopTalking();
                     }
 
-                    this.triggerReactionFromContent(text);
+                    this.reactToReply(text, reaction);
                     resolve();
                 }
             }, typeSpeed);
         });
     }
 
-    triggerReactionFromContent(text) {
-        const lowerText = text.toLowerCase();
-
-        // Laughing reactions
-        if (lowerText.includes('lol') || lowerText.includes('lmao') || lowerText.includes('😭') ||
-            lowerText.includes('💀') || lowerText.includes('haha')) {
-            this.animationController?.playReaction('laugh');
-        }
-        // Flirty reactions
-        else if (lowerText.includes('👀') || lowerText.includes('...') || lowerText.includes('cute') ||
-                 lowerText.includes('babe') || lowerText.includes('🫣') || lowerText.includes('unless')) {
-            this.animationController?.playReaction('flirty');
-        }
-        // Excited reactions
-        else if (lowerText.includes('omg') || lowerText.includes('wait') || lowerText.includes('✨')) {
-            this.animationController?.playReaction('excited');
+    reactToReply(text, reaction) {
+        if (reaction) {
+            this.animationController?.playReaction(reaction.emotion, reaction);
+        } else {
+            this.triggerReactionFromContent(text);
         }
-        // Eye roll / bratty
-        else if (lowerText.includes('🙄') || lowerText.includes('annoying') || lowerText.includes('whatever')) {
-            this.animationController?.playReaction('confused');
+
+        // A level she reached with this reply gets its moment after it
+        if (this.pendingMilestone) {
+            const level = this.pendingMilestone;
+            this.pendingMilestone = null;
+            setTimeout(() => this.celebrateLevel(level), MILESTONE_DELAY_MS);
+        } else {
+            this.announceAchievements(this.checkAchievements());
         }
-        // Random flirty chance
-        else if (Math.random() < 0.2) {
-            this.animationController?.playReaction('flirty');
+    }
+
+    // Fallback: guess the mood from keywords and emojis
+    triggerReactionFromContent(text) {
+        const reaction = pickReaction(this.persona, text);
+        if (reaction) {
+            this.animationController?.playReaction(reaction);
         }
     }
 
@@ -386,7 +869,21 @@ You're the main character energy friend everyone wishes they had - except you're
 
         let errorMessage = "ugh something broke 😭 ";
 
-        if (error.message.includes('API')) {
+        // Upstream trouble the server already retried (see lib/providers/resilient.js)
+        const upstreamMessages = {
+            upstream_overloaded: "ugh too many simps in my dms rn 😵‍💫 give me a sec and try again~",
+            upstream_rate_limited: "slow down babe, my brain needs a breather... try again in a bit 💜",
+            upstream_timeout: "sorry i totally zoned out 😳 say that again?",
+            upstream_unreachable: "my wifi is being so mid rn 📡 try again in a sec",
+            upstream_auth: "ugh something broke 😭 the server's api key is acting up"
+        };
+
+        // Rate limit and budget errors are already written in character
+        if (error.code === 'rate_limited' || error.code === 'budget_exhausted') {
+            errorMessage = error.message;
+        } else if (upstreamMessages[error.code]) {
+            errorMessage = upstreamMessages[error.code];
+        } else if (error.message.includes('API')) {
             errorMessage += "check the api key babe";
         } else if (error.message.includes('network') || error.message.includes('fetch')) {
             errorMessage += "is the server running? (node server.js)";
@@ -405,9 +902,592 @@ You're the main character energy friend everyone wishes they had - except you're
         }
     }
 
+    // Also the "new chat" action: the old chat stays in the saved list
     clearHistory() {
         this.conversationHistory = [];
+        this.summary = '';
+        this.summarizedCount = 0;
+        this.endEdit();
         this.messagesContainer.innerHTML = '';
+        this.startConversation();
+    }
+
+    // Message actions
+
+    /**
+     * Hover buttons for a message that's in the history: edit (user),
+     * regenerate (latest reply only, see CSS) and delete
+     */
+    addMessageActions(messageEl, index) {
+        messageEl.dataset.index = index;
+
+        const actions = messageEl.classList.contains('user')
+            ? [['edit', '✎', 'Edit']]
+            : [['regenerate', '↻', 'Regenerate']];
+        actions.push(['delete', '×', 'Delete']);
+
+        const actionsEl = document.createElement('div');
+        actionsEl.className = 'message-actions';
+        for (const [action, icon, title] of actions) {
+            const button = document.createElement('button');
+            button.dataset.action = action;
+            button.title = title;
+            button.textContent = icon;
+            actionsEl.appendChild(button);
+        }
+        messageEl.appendChild(actionsEl);
+    }
+
+    handleMessageAction(e) {
+        const button = e.target.closest('[data-action]');
+        const messageEl = button?.closest('.message');
+        if (!messageEl || this.isProcessing) return;
+
+        const index = parseInt(messageEl.dataset.index, 10);
+        switch (button.dataset.action) {
+            case 'edit':
+                this.startEdit(index, messageEl);
+                break;
+            case 'delete':
+                this.deleteTurn(index);
+                break;
+            case 'regenerate':
+                this.regenerateReply();
+                break;
+        }
+    }
+
+    /**
+     * Drop `count` messages from `start` on, taking back the love points
+     * their replies gave. A summary covering any of them is dropped too
+     * (the server rebuilds it from what's left).
+     */
+    removeMessages(start, count = Infinity) {
+        const removed = this.conversationHistory.splice(start, count);
+        const love = removed.reduce((total, message) => total + (message.love || 0), 0);
+        if (love) this.addLovePoints(-love, 'removed');
+
+        if (start < this.summarizedCount) {
+            this.summary = '';
+            this.summarizedCount = 0;
+        }
+    }
+
+    // Deleting either side of an exchange deletes both, so roles keep alternating
+    deleteTurn(index) {
+        const start = this.conversationHistory[index]?.role === 'user' ? index : index - 1;
+        if (start < 0) return;
+
+        if (this.editingIndex !== null && this.editingIndex >= start) {
+            this.cancelEdit();
+        }
+
+        this.voiceController?.stop();
+        this.removeMessages(start, 2);
+        this.renderConversation();
+        this.saveConversation();
+    }
+
+    // Ask again for the latest reply
+    async regenerateReply() {
+        const history = this.conversationHistory;
+        const last = history[history.length - 1];
+        if (this.isProcessing || last?.role !== 'assistant') return;
+
+        this.voiceController?.stop();
+        this.removeMessages(history.length - 1);
+        this.renderConversation();
+
+        // No new reply: the old one comes back (love points too) instead of losing the question
+        await this.requestReply(history[history.length - 1].content, () => {
+            history.push(last);
+            if (last.love) this.addLovePoints(last.love, 'restored');
+            this.renderConversation();
+        });
+    }
+
+    // Load a user message into the input; sending replaces it and everything after
+    startEdit(index, messageEl) {
+        this.endEdit();
+        this.editingIndex = index;
+        messageEl.classList.add('editing');
+        this.inputField.value = this.conversationHistory[index].content;
+        this.inputField.placeholder = 'editing... (esc to cancel)';
+        this.inputField.focus();
+    }
+
+    cancelEdit() {
+        this.endEdit();
+        this.inputField.value = '';
+    }
+
+    endEdit() {
+        this.editingIndex = null;
+        this.messagesContainer.querySelector('.message.editing')?.classList.remove('editing');
+        this.inputField.placeholder = this.defaultPlaceholder;
+    }
+
+    // Personas
+
+    // Packs from /api/personas; without a server the built-in fallback stays
+    async loadPersonas() {
+        let loaded;
+        try {
+            loaded = await fetchPersonas();
+        } catch (error) {
+            console.warn('Could not load personas:', error.message);
+            return;
+        }
+
+        this.personas = loaded.personas;
+        const saved = localStorage.getItem('solPersona');
+        this.applyPersona(this.personas.get(saved) || this.personas.get(loaded.defaultId));
+    }
+
+    applyPersona(persona) {
+        if (!persona) return;
+
+        this.persona = persona;
+        this.personaId = persona.id;
+        localStorage.setItem('solPersona', persona.id);
+
+        if (this.personaNameEl) {
+            this.personaNameEl.textContent = persona.name;
+        }
+        this.voiceController?.applyPersona(persona);
+        this.updateLoveMeter();
+
+        // First look at this persona: wherever the meter is now is the baseline
+        if (this.love.bestLevel(persona.id) === null) {
+            this.love.setBestLevel(persona.id, this.getLoveLevel().index);
+        }
+
+        this.updateLockedGestures();
+        if (this.onAppearanceChange) {
+            this.onAppearanceChange(this.getAppearance());
+        }
+        if (this.achievementsPanel?.classList.contains('open')) {
+            this.renderAchievements();
+        }
+    }
+
+    // Saved conversations
+
+    async restoreConversation() {
+        // Welcome lines and saved chats' personas need the packs
+        await this.personasReady;
+
+        const id = this.store.getActiveId();
+        const session = id ? await this.store.getSession(id).catch(() => null) : null;
+
+        if (session) {
+            this.loadConversation(session);
+        } else {
+            this.startConversation();
+        }
+        this.announceVisit();
+    }
+
+    // Fresh conversation; it's only saved once Sol has answered something
+    startConversation() {
+        this.conversationId = createSessionId();
+        this.conversationCreatedAt = Date.now();
+        this.store.setActiveId(this.conversationId);
         this.showWelcomeMessage();
     }
+
+    loadConversation(session) {
+        this.voiceController?.stop();
+        if (session.persona !== this.personaId && this.personas.has(session.persona)) {
+            this.applyPersona(this.personas.get(session.persona));
+        }
+        this.conversationId = session.id;
+        this.conversationCreatedAt = session.createdAt;
+        this.conversationHistory = session.messages.map(message => ({ ...message }));
+        this.summary = session.summary || '';
+        this.summarizedCount = session.summarizedCount || 0;
+        this.store.setActiveId(session.id);
+        this.endEdit();
+        this.renderConversation();
+    }
+
+    // Redraw the panel from conversationHistory
+    renderConversation() {
+        this.messagesContainer.innerHTML = '';
+        if (this.conversationHistory.length === 0) {
+            this.showWelcomeMessage();
+        }
+        this.conversationHistory.forEach((message, index) => {
+            const messageEl = this.addMessage(message.content, message.role === 'user' ? 'user' : 'ai');
+            this.addMessageActions(messageEl, index);
+        });
+    }
+
+    // First thing the user said, shortened
+    conversationTitle() {
+        const firstUserMessage = this.conversationHistory.find(message => message.role === 'user');
+        return (firstUserMessage?.content || 'new chat').slice(0, 40);
+    }
+
+    async saveConversation() {
+        // Every message deleted: the chat goes from the saved list too
+        if (this.conversationHistory.length === 0) {
+            await this.store.deleteSession(this.conversationId).catch(() => {});
+            return;
+        }
+
+        try {
+            await this.store.saveSession({
+                id: this.conversationId,
+                title: this.conversationTitle(),
+                persona: this.personaId,
+                messages: this.conversationHistory,
+                summary: this.summary,
+                summarizedCount: this.summarizedCount,
+                createdAt: this.conversationCreatedAt,
+                updatedAt: Date.now()
+            });
+        } catch (error) {
+            console.warn('Could not save chat:', error);
+        }
+    }
+
+    async switchConversation(id) {
+        if (this.isProcessing || id === this.conversationId) return;
+
+        const session = await this.store.getSession(id);
+        if (session) {
+            this.loadConversation(session);
+        }
+        this.toggleSessionsPanel(false);
+    }
+
+    async deleteConversation(id) {
+        await this.store.deleteSession(id);
+        if (id === this.conversationId && !this.isProcessing) {
+            this.clearHistory();
+        }
+        this.renderSessionsList();
+    }
+
+    toggleSessionsPanel(open = !this.sessionsPanel.classList.contains('open')) {
+        if (!this.sessionsPanel) return;
+        this.sessionsPanel.classList.toggle('open', open);
+        if (open) {
+            this.toggleMemoryPanel(false);
+            this.toggleLovePanel(false);
+            this.toggleAchievementsPanel(false);
+            this.renderSessionsList();
+        }
+    }
+
+    async renderSessionsList() {
+        if (!this.sessionsList) return;
+
+        const sessions = await this.store.listSessions();
+        this.sessionsList.innerHTML = '';
+
+        if (sessions.length === 0) {
+            const emptyEl = document.createElement('div');
+            emptyEl.className = 'sessions-empty';
+            emptyEl.textContent = 'no saved chats yet 👀';
+            this.sessionsList.appendChild(emptyEl);
+            return;
+        }
+
+        for (const session of sessions) {
+            const itemEl = document.createElement('div');
+            itemEl.className = 'session-item';
+            if (session.id === this.conversationId) itemEl.classList.add('active');
+
+            const titleEl = document.createElement('span');
+            titleEl.className = 'session-title';
+            titleEl.textContent = session.title;
+
+            const dateEl = document.createElement('span');
+            dateEl.className = 'session-date';
+            dateEl.textContent = new Date(session.updatedAt).toLocaleDateString();
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'session-delete';
+            deleteBtn.title = 'Delete chat';
+            deleteBtn.textContent = '×';
+            deleteBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.deleteConversation(session.id);
+            });
+
+            itemEl.append(titleEl, dateEl, deleteBtn);
+            itemEl.addEventListener('click', () => this.switchConversation(session.id));
+            this.sessionsList.appendChild(itemEl);
+        }
+    }
+
+    // Long-term memory
+
+    rememberFacts(facts) {
+        const added = this.memory.add(facts);
+        if (added.length === 0) return;
+
+        // Little pulse on the 💭 button so it doesn't happen silently
+        if (this.memoryButton) {
+            this.memoryButton.classList.add('remembered');
+            setTimeout(() => this.memoryButton.classList.remove('remembered'), 2000);
+        }
+        if (this.memoryPanel?.classList.contains('open')) {
+            this.renderMemoryList();
+        }
+    }
+
+    toggleMemoryPanel(open = !this.memoryPanel.classList.contains('open')) {
+        if (!this.memoryPanel) return;
+        this.memoryPanel.classList.toggle('open', open);
+        if (open) {
+            this.toggleSessionsPanel(false);
+            this.toggleLovePanel(false);
+            this.toggleAchievementsPanel(false);
+            this.renderMemoryList();
+        }
+    }
+
+    renderMemoryList() {
+        if (!this.memoryList) return;
+
+        const memories = this.memory.list();
+        this.memoryList.innerHTML = '';
+
+        if (memories.length === 0) {
+            const emptyEl = document.createElement('div');
+            emptyEl.className = 'sessions-empty';
+            emptyEl.textContent = "i don't know anything about u yet... tell me stuff 👀";
+            this.memoryList.appendChild(emptyEl);
+            return;
+        }
+
+        for (const memory of [...memories].reverse()) {
+            const itemEl = document.createElement('div');
+            itemEl.className = 'memory-item';
+
+            const textEl = document.createElement('span');
+            textEl.className = 'session-title';
+            textEl.textContent = memory.text;
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'session-delete';
+            deleteBtn.title = 'Forget this';
+            deleteBtn.textContent = '×';
+            deleteBtn.addEventListener('click', () => {
+                this.memory.remove(memory.id);
+                this.renderMemoryList();
+            });
+
+            itemEl.append(textEl, deleteBtn);
+            this.memoryList.appendChild(itemEl);
+        }
+    }
+
+    // Love history
+
+    toggleLovePanel(open = !this.lovePanel?.classList.contains('open')) {
+        if (!this.lovePanel) return;
+        this.lovePanel.classList.toggle('open', open);
+        if (open) {
+            this.toggleSessionsPanel(false);
+            this.toggleMemoryPanel(false);
+            this.toggleAchievementsPanel(false);
+            this.renderLoveHistory();
+        }
+    }
+
+    renderLoveHistory() {
+        if (!this.loveHistoryList) return;
+
+        const level = this.getLoveLevel();
+        if (this.loveSummary) {
+            const streak = this.love.streak > 1 ? ` · 🔥 ${this.love.streak} day streak` : '';
+            this.loveSummary.textContent = `${level.icon} ${level.name} · ${this.love.points} pts${streak}`;
+        }
+
+        const entries = this.love.history(30);
+        this.loveHistoryList.innerHTML = '';
+
+        if (entries.length === 0) {
+            const emptyEl = document.createElement('div');
+            emptyEl.className = 'sessions-empty';
+            emptyEl.textContent = 'nothing yet... talk to me 👀';
+            this.loveHistoryList.appendChild(emptyEl);
+            return;
+        }
+
+        for (const entry of entries) {
+            const itemEl = document.createElement('div');
+            itemEl.className = 'love-entry';
+
+            const deltaEl = document.createElement('span');
+            deltaEl.className = `love-delta ${entry.delta > 0 ? 'up' : 'down'}`;
+            deltaEl.textContent = `${entry.delta > 0 ? '+' : ''}${entry.delta}`;
+
+            const reasonEl = document.createElement('span');
+            reasonEl.className = 'session-title';
+            reasonEl.textContent = LOVE_REASONS[entry.reason] || entry.reason;
+
+            const dateEl = document.createElement('span');
+            dateEl.className = 'session-date';
+            dateEl.textContent = new Date(entry.at).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+            itemEl.append(deltaEl, reasonEl, dateEl);
+            this.loveHistoryList.appendChild(itemEl);
+        }
+    }
+
+    // Achievements
+
+    // The persona's `unlocks` entries whose achievement has been earned
+    unlockedContent(persona = this.persona) {
+        return (persona.unlocks || []).filter(unlock => this.achievements.isUnlocked(achievementKey(persona, unlock.achievement)));
+    }
+
+    // What an achievement unlocks for the current persona
+    rewardsFor(achievement) {
+        return (this.persona.unlocks || []).filter(unlock => unlock.achievement === achievement.id);
+    }
+
+    // The pack's model and idle animation, or an unlocked outfit / idle picked in the 🏆 panel
+    getAppearance() {
+        const unlocked = this.unlockedContent();
+        const outfitName = this.achievements.wearing(this.personaId, 'outfit');
+        const idleName = this.achievements.wearing(this.personaId, 'idle');
+        const outfit = unlocked.find(unlock => unlock.outfit?.name === outfitName)?.outfit;
+        const idle = unlocked.find(unlock => unlock.idle?.name === idleName)?.idle;
+        return {
+            model: outfit?.model || this.persona.model || DEFAULT_MODEL,
+            idle: idle?.animation || this.persona.animations?.idle || DEFAULT_IDLE_ANIMATION
+        };
+    }
+
+    // Gestures the pack holds back stay off until one of their achievements is earned
+    updateLockedGestures() {
+        if (!this.animationController) return;
+        const unlocked = new Set(this.unlockedContent().map(unlock => unlock.gesture));
+        this.animationController.lockedGestures = new Set((this.persona.unlocks || [])
+            .map(unlock => unlock.gesture)
+            .filter(gesture => gesture && !unlocked.has(gesture)));
+    }
+
+    /**
+     * Unlock everything earned since the last check
+     * @returns {object[]} The achievements that were just unlocked
+     */
+    checkAchievements() {
+        const progress = {
+            counts: this.achievements.counts,
+            streak: this.love.streak,
+            bestLevel: this.love.bestLevel(this.personaId) ?? 0
+        };
+        const unlocked = achievementsFor(this.persona)
+            .filter(achievement => achievement.earned(progress) && this.achievements.unlock(achievement.key));
+
+        if (unlocked.length) {
+            this.updateLockedGestures();
+            if (this.achievementsPanel?.classList.contains('open')) {
+                this.renderAchievements();
+            }
+        }
+        return unlocked;
+    }
+
+    // A note per achievement (with what it unlocked) and a pulse on the 🏆 button
+    announceAchievements(achievements) {
+        if (achievements.length === 0) return;
+
+        if (achievements.length > MAX_ACHIEVEMENT_NOTES) {
+            this.addCommandNote(`🏆 ${achievements.length} achievements unlocked - check 🏆`);
+        } else {
+            for (const achievement of achievements) {
+                const rewards = this.rewardsFor(achievement).map(describeUnlock);
+                this.addCommandNote(`🏆 ${achievement.icon} ${achievement.title}${rewards.length ? ` - unlocked ${rewards.join(', ')}` : ''}`);
+            }
+        }
+
+        if (this.achievementsButton) {
+            this.achievementsButton.classList.add('unlocked');
+            setTimeout(() => this.achievementsButton.classList.remove('unlocked'), 2000);
+        }
+    }
+
+    // Switch to an unlocked outfit / idle animation, or back to the pack's own
+    toggleWearing(kind, name) {
+        const current = this.achievements.wearing(this.personaId, kind);
+        this.achievements.wear(this.personaId, kind, current === name ? null : name);
+        if (this.onAppearanceChange) {
+            this.onAppearanceChange(this.getAppearance());
+        }
+        this.renderAchievements();
+    }
+
+    toggleAchievementsPanel(open = !this.achievementsPanel?.classList.contains('open')) {
+        if (!this.achievementsPanel) return;
+        this.achievementsPanel.classList.toggle('open', open);
+        if (open) {
+            this.toggleSessionsPanel(false);
+            this.toggleMemoryPanel(false);
+            this.toggleLovePanel(false);
+            this.renderAchievements();
+        }
+    }
+
+    renderAchievements() {
+        if (!this.achievementsList) return;
+
+        const achievements = achievementsFor(this.persona);
+        const unlockedCount = achievements.filter(achievement => this.achievements.isUnlocked(achievement.key)).length;
+        if (this.achievementsSummary) {
+            this.achievementsSummary.textContent = `🏆 ${unlockedCount}/${achievements.length} unlocked`;
+        }
+
+        this.achievementsList.innerHTML = '';
+        for (const achievement of achievements) {
+            const unlockedAt = this.achievements.unlockedAt(achievement.key);
+            const itemEl = document.createElement('div');
+            itemEl.className = `achievement-item${unlockedAt ? '' : ' locked'}`;
+            if (unlockedAt) {
+                itemEl.title = `unlocked ${new Date(unlockedAt).toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' })}`;
+            }
+
+            const iconEl = document.createElement('span');
+            iconEl.className = 'achievement-icon';
+            iconEl.textContent = unlockedAt ? achievement.icon : '🔒';
+
+            const textEl = document.createElement('div');
+            textEl.className = 'achievement-text';
+            const titleEl = document.createElement('span');
+            titleEl.className = 'session-title';
+            titleEl.textContent = achievement.title;
+            const descriptionEl = document.createElement('span');
+            descriptionEl.className = 'session-date';
+            descriptionEl.textContent = achievement.description;
+            textEl.append(titleEl, descriptionEl);
+
+            for (const unlock of this.rewardsFor(achievement)) {
+                const rewardEl = document.createElement('span');
+                rewardEl.className = 'achievement-reward';
+                rewardEl.textContent = `🎁 ${describeUnlock(unlock)}`;
+
+                // Outfits and idles can be switched once unlocked
+                const kind = unlock.outfit ? 'outfit' : unlock.idle ? 'idle' : null;
+                if (kind && unlockedAt) {
+                    const wearing = this.achievements.wearing(this.personaId, kind) === unlock[kind].name;
+                    const useBtn = document.createElement('button');
+                    useBtn.className = 'achievement-use';
+                    useBtn.textContent = wearing ? 'take off' : 'use';
+                    useBtn.addEventListener('click', () => this.toggleWearing(kind, unlock[kind].name));
+                    rewardEl.appendChild(useBtn);
+                }
+                textEl.appendChild(rewardEl);
+            }
+
+            itemEl.append(iconEl, textEl);
+            this.achievementsList.appendChild(itemEl);
+        }
+    }
 }
@@ -0,0 +1,208 @@
+/**
+ * Slash Commands - handled in the browser, never sent to the model
+ *
+ * ChatController.sendMessage hands anything starting with "/" to
+ * runCommand(); "//" sends a message that really starts with a slash.
+ * CommandAutocomplete suggests command names (and their options) above
+ * #chat-input while one is being typed.
+ */
+
+import { VOICE_PROVIDERS, PUTER_VOICES } from './voice.js';
+import { EXPORT_FORMATS } from './transcript.js';
+
+export const COMMANDS = [
+    {
+        name: 'reset',
+        usage: '/reset',
+        description: 'start a new chat (the old one stays saved)',
+        run: chat => {
+            if (chat.isProcessing) return 'wait till sol finishes talking 🙄';
+            chat.clearHistory();
+        },
+    },
+    {
+        name: 'voice',
+        usage: '/voice <on|off|provider|voice name>',
+        description: `mute/unmute, pick ${VOICE_PROVIDERS.join(' / ')}, or a voice like shimmer`,
+        options: () => ['on', 'off', ...VOICE_PROVIDERS, ...PUTER_VOICES],
+        run: (chat, arg) => chat.setVoiceFromCommand(arg),
+    },
+    {
+        name: 'persona',
+        usage: '/persona <id>',
+        description: 'switch who ur talking to (starts a new chat)',
+        options: chat => [...chat.personas.keys()],
+        run: (chat, arg) => chat.setPersonaFromCommand(arg),
+    },
+    {
+        name: 'export',
+        usage: `/export [${EXPORT_FORMATS.join('|')}]`,
+        description: 'download this chat (json can be imported again)',
+        options: () => EXPORT_FORMATS,
+        run: (chat, arg) => chat.exportConversation(arg.toLowerCase() || 'json'),
+    },
+    {
+        name: 'import',
+        usage: '/import',
+        description: 'resume a chat from a json export',
+        run: chat => chat.chooseImportFile(),
+    },
+    {
+        name: 'achievements',
+        usage: '/achievements',
+        description: 'what u unlocked so far (and outfits to switch to)',
+        run: chat => chat.toggleAchievementsPanel(true),
+    },
+    {
+        name: 'mood',
+        usage: '/mood',
+        description: 'how sol feels about u rn',
+        run: chat => chat.describeMood(),
+    },
+    {
+        name: 'help',
+        usage: '/help',
+        description: 'this list',
+        run: () => [
+            ...COMMANDS.map(command => `${command.usage} - ${command.description}`),
+            '//text - send a message that starts with /',
+        ].join('\n'),
+    },
+];
+
+// "/voice shimmer" -> { name: 'voice', arg: 'shimmer' }
+export function parseCommand(text) {
+    const match = text.trim().match(/^\/(\w+)(?:\s+([\s\S]*))?$/);
+    return match ? { name: match[1].toLowerCase(), arg: (match[2] || '').trim() } : null;
+}
+
+/**
+ * Run a slash command against the chat.
+ * @returns {Promise<string|null>} Note to show in the chat, if any
+ */
+export async function runCommand(chat, text) {
+    const parsed = parseCommand(text);
+    const command = parsed && COMMANDS.find(candidate => candidate.name === parsed.name);
+    if (!command) {
+        return `unknown command ${text.split(/\s/)[0]} - try /help`;
+    }
+    return (await command.run(chat, parsed.arg)) || null;
+}
+
+/**
+ * Suggestion list for the chat input: command names while typing "/vo",
+ * then the command's options while typing "/voice sh"
+ */
+export class CommandAutocomplete {
+    constructor(input, menu, chat) {
+        this.input = input;
+        this.menu = menu;
+        this.chat = chat;
+        this.items = [];
+        this.selected = 0;
+
+        input.addEventListener('input', () => this.update());
+        input.addEventListener('keydown', (e) => this.handleKey(e));
+        input.addEventListener('blur', () => setTimeout(() => this.close(), 150));
+    }
+
+    // [{ label, hint, value }] for what's in the input right now
+    suggestions() {
+        const value = this.input.value;
+        if (!value.startsWith('/') || value.startsWith('//')) return [];
+
+        const [typedName, ...rest] = value.slice(1).split(' ');
+        if (rest.length === 0) {
+            return COMMANDS
+                .filter(command => command.name.startsWith(typedName.toLowerCase()))
+                .map(command => ({ label: command.usage, hint: command.description, value: `/${command.name} ` }));
+        }
+
+        const command = COMMANDS.find(candidate => candidate.name === typedName.toLowerCase());
+        const typedArg = rest.join(' ').toLowerCase();
+        return (command?.options?.(this.chat) || [])
+            .filter(option => option.startsWith(typedArg) && option !== typedArg)
+            .map(option => ({ label: option, hint: '', value: `/${command.name} ${option}` }));
+    }
+
+    update() {
+        this.items = this.suggestions();
+        this.selected = 0;
+        this.render();
+    }
+
+    render() {
+        this.menu.innerHTML = '';
+        this.menu.classList.toggle('open', this.items.length > 0);
+
+        this.items.forEach((item, i) => {
+            const itemEl = document.createElement('div');
+            itemEl.className = 'command-item';
+            if (i === this.selected) itemEl.classList.add('selected');
+
+            const labelEl = document.createElement('span');
+            labelEl.className = 'command-label';
+            labelEl.textContent = item.label;
+
+            const hintEl = document.createElement('span');
+            hintEl.className = 'command-hint';
+            hintEl.textContent = item.hint;
+
+            itemEl.append(labelEl, hintEl);
+            // mousedown fires before the input's blur closes the menu
+            itemEl.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.pick(i);
+            });
+            this.menu.appendChild(itemEl);
+        });
+    }
+
+    isOpen() {
+        return this.items.length > 0;
+    }
+
+    pick(index) {
+        this.input.value = this.items[index].value;
+        this.input.focus();
+        this.update();
+    }
+
+    close() {
+        this.items = [];
+        this.render();
+    }
+
+    handleKey(e) {
+        if (!this.isOpen()) return;
+
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp': {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                this.selected = (this.selected + step + this.items.length) % this.items.length;
+                this.render();
+                break;
+            }
+            case 'Tab':
+                e.preventDefault();
+                this.pick(this.selected);
+                break;
+            case 'Enter':
+                // Complete the name first; a finished command (no args to pick) just runs
+                if (this.input.value.trim() !== this.items[this.selected].value.trim()) {
+                    e.preventDefault();
+                    e.stopImmediatePropagation();
+                    this.pick(this.selected);
+                } else {
+                    this.close();
+                }
+                break;
+            case 'Escape':
+                e.stopImmediatePropagation();
+                this.close();
+                break;
+        }
+    }
+}
@@ -0,0 +1,108 @@
+/**
+ * Conversation Store - saved chats in IndexedDB
+ *
+ * Each session is { id, title, persona, messages, summary, summarizedCount,
+ * createdAt, updatedAt } where messages are the same { role, content }
+ * objects ChatController sends to /api/chat and summary covers the first
+ * summarizedCount of them. The active session id lives in localStorage so a
+ * reload reopens the same chat. Without IndexedDB (some private modes)
+ * sessions are kept in memory for the tab's lifetime.
+ */
+
+const DB_NAME = 'solwaifu';
+const DB_VERSION = 1;
+const STORE = 'sessions';
+const ACTIVE_KEY = 'solActiveSession';
+
+// Wrap an IDBRequest in a promise
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export function createSessionId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export class ConversationStore {
+    constructor() {
+        this.memory = new Map(); // Fallback when IndexedDB is unavailable
+        this.dbReady = this.openDatabase();
+    }
+
+    async openDatabase() {
+        if (typeof indexedDB === 'undefined') return null;
+
+        try {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+                store.createIndex('updatedAt', 'updatedAt');
+            };
+            return await promisify(request);
+        } catch (error) {
+            console.warn('IndexedDB unavailable, chats won\'t survive a reload:', error);
+            return null;
+        }
+    }
+
+    async transaction(mode, run) {
+        const db = await this.dbReady;
+        if (!db) return null;
+
+        const tx = db.transaction(STORE, mode);
+        const done = new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+        const result = await promisify(run(tx.objectStore(STORE)));
+        await done;
+        return result;
+    }
+
+    /**
+     * All sessions, most recently used first
+     */
+    async listSessions() {
+        const db = await this.dbReady;
+        const sessions = db
+            ? await this.transaction('readonly', store => store.getAll())
+            : [...this.memory.values()];
+        return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    async getSession(id) {
+        const db = await this.dbReady;
+        if (!db) return this.memory.get(id) || null;
+        return (await this.transaction('readonly', store => store.get(id))) || null;
+    }
+
+    async saveSession(session) {
+        const db = await this.dbReady;
+        if (!db) {
+            this.memory.set(session.id, session);
+            return;
+        }
+        await this.transaction('readwrite', store => store.put(session));
+    }
+
+    async deleteSession(id) {
+        const db = await this.dbReady;
+        if (!db) {
+            this.memory.delete(id);
+            return;
+        }
+        await this.transaction('readwrite', store => store.delete(id));
+    }
+
+    getActiveId() {
+        return localStorage.getItem(ACTIVE_KEY);
+    }
+
+    setActiveId(id) {
+        localStorage.setItem(ACTIVE_KEY, id);
+    }
+}
@@ -0,0 +1,154 @@
+/**
+ * Love Engine - affinity points, decay, daily streaks and their history
+ *
+ * Kept in localStorage as one record:
+ *   { points, lastActiveAt, decayedDays, streak: { count, lastDay }, bestLevels: { [personaId]: index },
+ *     history: [{ at, delta, reason, points }] }
+ * Points are shared by every persona; each persona's pack turns them into
+ * a level (loveLevels), and bestLevels remembers the highest level reached
+ * so a milestone only fires once even if decay drops the meter below it.
+ */
+
+const STORAGE_KEY = 'solLove';
+const LEGACY_KEY = 'solLovePoints';
+const MAX_HISTORY = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// No chat for this long and the meter starts to cool off
+const DECAY_GRACE_DAYS = 2;
+const DECAY_PER_DAY = 3;
+
+// Coming back on consecutive days: +1 the first day, up to +MAX_STREAK_BONUS
+const MAX_STREAK_BONUS = 7;
+
+export const LOVE_REASONS = {
+    reply: 'chatting',
+    removed: 'message removed',
+    restored: 'reply restored',
+    decay: 'missed u',
+    streak: 'daily visit',
+};
+
+// "2026-10-19" in the visitor's own timezone
+function dayKey(time) {
+    const date = new Date(time);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function daysBetween(fromDay, toDay) {
+    return Math.round((Date.parse(toDay) - Date.parse(fromDay)) / DAY_MS);
+}
+
+export class LoveEngine {
+    constructor(storage = localStorage) {
+        this.storage = storage;
+        this.state = this.load();
+    }
+
+    load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(this.storage.getItem(STORAGE_KEY) || 'null');
+        } catch (e) {
+            saved = null;
+        }
+        if (saved) return saved;
+
+        // Before the engine there was only a bare number
+        return {
+            points: parseInt(this.storage.getItem(LEGACY_KEY) || '0', 10) || 0,
+            lastActiveAt: null,
+            decayedDays: 0,
+            streak: { count: 0, lastDay: null },
+            bestLevels: {},
+            history: [],
+        };
+    }
+
+    save() {
+        this.storage.setItem(STORAGE_KEY, JSON.stringify(this.state));
+        this.storage.removeItem(LEGACY_KEY);
+    }
+
+    get points() {
+        return this.state.points;
+    }
+
+    get streak() {
+        return this.state.streak.count;
+    }
+
+    /**
+     * Change the points (never below 0) and log it
+     * @returns {object|null} The history entry, or null when nothing changed
+     */
+    add(delta, reason = 'reply', now = Date.now()) {
+        const points = Math.max(0, this.state.points + delta);
+        const applied = points - this.state.points;
+        if (reason === 'reply') {
+            this.state.lastActiveAt = now;
+            this.state.decayedDays = 0;
+        }
+        if (applied === 0) {
+            this.save();
+            return null;
+        }
+
+        const entry = { at: now, delta: applied, reason, points };
+        this.state.points = points;
+        this.state.history = [...this.state.history, entry].slice(-MAX_HISTORY);
+        this.save();
+        return entry;
+    }
+
+    /**
+     * Page load: cool off after a long absence, then count today's visit
+     * towards the streak.
+     * @returns {object[]} History entries added (decay and/or streak bonus)
+     */
+    visit(now = Date.now()) {
+        const changes = [];
+        const today = dayKey(now);
+
+        // Each idle day past the grace period costs points once
+        const lastActive = this.state.lastActiveAt;
+        const idleDays = lastActive ? Math.floor((now - lastActive) / DAY_MS) : 0;
+        const owedDays = Math.max(0, idleDays - DECAY_GRACE_DAYS + 1) - this.state.decayedDays;
+        if (owedDays > 0) {
+            this.state.decayedDays += owedDays;
+            const decay = this.add(-owedDays * DECAY_PER_DAY, 'decay', now);
+            if (decay) changes.push(decay);
+        }
+
+        const streak = this.state.streak;
+        if (streak.lastDay !== today) {
+            const continued = streak.lastDay && daysBetween(streak.lastDay, today) === 1;
+            this.state.streak = { count: continued ? streak.count + 1 : 1, lastDay: today };
+
+            // The first visit ever is just a visit
+            if (streak.lastDay) {
+                const bonus = this.add(Math.min(this.state.streak.count, MAX_STREAK_BONUS), 'streak', now);
+                if (bonus) changes.push(bonus);
+            }
+        }
+
+        this.save();
+        return changes;
+    }
+
+    // Highest level index reached with a persona (null = never checked)
+    bestLevel(personaId) {
+        return this.state.bestLevels[personaId] ?? null;
+    }
+
+    setBestLevel(personaId, index) {
+        this.state.bestLevels = { ...this.state.bestLevels, [personaId]: index };
+        this.save();
+    }
+
+    // Newest first
+    history(limit = MAX_HISTORY) {
+        return this.state.history.slice(-limit).reverse();
+    }
+}
@@ -80,6 +80,8 @@ class DegenWaifuApp {
         this.chatController = null;
         this.voiceController = null;
         this.isRunning = false;
+        this.modelPath = null;
+        this.idlePath = null;
 
         // Mouse tracking for look-at
         this.mouseX = 0;
@@ -121,8 +123,10 @@ class DegenWaifuApp {
         this.chatController = new ChatController(this.animationController, this.voiceController);
         console.log('💬 Chat controller ready');
 
-        // Try to load VRM model
-        await this.loadModel();
+        // Try to load the persona's VRM model, and swap it when the persona or outfit changes
+        await this.chatController.personasReady;
+        await this.loadModel(this.chatController.getAppearance());
+        this.chatController.onAppearanceChange = (appearance) => this.loadModel(appearance);
 
         // Setup mouse tracking for look-at
         this.setupMouseTracking();
@@ -152,17 +156,31 @@ class DegenWaifuApp {
         });
     }
 
-    async loadModel() {
+    async loadModel({ model, idle }) {
+        // Model and idle animation come from the persona pack or an unlocked outfit (see ChatController.getAppearance)
+        const modelPath = `./${model}`;
+        const idlePath = `./${idle}`;
+        if (modelPath === this.modelPath) {
+            if (idlePath !== this.idlePath && this.vrmLoader.vrm) {
+                this.idlePath = idlePath;
+                await this.vrmLoader.loadAnimation(idlePath).catch(error => {
+                    console.warn('⚠️ Could not load idle animation:', error.message);
+                });
+            }
+            return;
+        }
+        this.modelPath = modelPath;
+        this.idlePath = idlePath;
+
         // Show loading indicator
         this.showLoadingIndicator();
-
-        // Model path - supports custom filename
-        const modelPath = './models/1713137135966801258.vrm';
+        document.getElementById('model-instructions')?.remove();
+        this.vrmLoader.dispose();
 
         try {
             await this.vrmLoader.load(modelPath, (progress) => {
                 this.updateLoadingProgress(progress);
-            });
+            }, idlePath);
 
             console.log('✅ VRM model loaded successfully');
             this.hideLoadingIndicator();
@@ -0,0 +1,80 @@
+/**
+ * Memory Store - what Sol remembers about this visitor, across chats
+ *
+ * Facts come back from /api/chat as short notes ("name is Ana") and are
+ * kept in localStorage as { id, text, createdAt }. Each request sends the
+ * ones that look relevant to the new message (see lib/memory.js).
+ */
+
+const STORAGE_KEY = 'solMemories';
+const MAX_STORED = 100;
+
+// Matches CHAT_LIMITS.MAX_MEMORIES on the server
+export const MAX_SENT_MEMORIES = 20;
+
+function words(text) {
+    return new Set(text.toLowerCase().match(/[\p{L}\p{N}']{3,}/gu) || []);
+}
+
+export class MemoryStore {
+    constructor(storage = localStorage) {
+        this.storage = storage;
+    }
+
+    list() {
+        try {
+            return JSON.parse(this.storage.getItem(STORAGE_KEY) || '[]');
+        } catch (e) {
+            return [];
+        }
+    }
+
+    save(memories) {
+        this.storage.setItem(STORAGE_KEY, JSON.stringify(memories.slice(-MAX_STORED)));
+    }
+
+    /**
+     * Remember new notes, skipping ones already known
+     * @returns {object[]} The memories that were actually added
+     */
+    add(texts) {
+        const memories = this.list();
+        const known = new Set(memories.map(memory => memory.text.toLowerCase()));
+        const added = [];
+
+        for (const text of texts) {
+            const key = text.toLowerCase();
+            if (known.has(key)) continue;
+            known.add(key);
+            added.push({ id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`, text, createdAt: Date.now() });
+        }
+
+        if (added.length) this.save([...memories, ...added]);
+        return added;
+    }
+
+    remove(id) {
+        this.save(this.list().filter(memory => memory.id !== id));
+    }
+
+    clear() {
+        this.storage.removeItem(STORAGE_KEY);
+    }
+
+    /**
+     * Notes to send with a message: the ones sharing the most words with
+     * it, then the newest, up to MAX_SENT_MEMORIES
+     */
+    relevant(text, limit = MAX_SENT_MEMORIES) {
+        const messageWords = words(text);
+        return this.list()
+            .map((memory, index) => ({
+                text: memory.text,
+                index,
+                overlap: [...words(memory.text)].filter(word => messageWords.has(word)).length,
+            }))
+            .sort((a, b) => b.overlap - a.overlap || b.index - a.index)
+            .slice(0, limit)
+            .map(memory => memory.text);
+    }
+}
@@ -0,0 +1,64 @@
+/**
+ * Persona Packs (browser side) - everything about a persona except its
+ * system prompt, from /api/personas (packs live in personas/, see
+ * lib/personas.js for the format)
+ *
+ * Keyword rules ({ any?, all?, none? } word lists) score love points and
+ * pick reactions when a reply comes back without a reaction tag.
+ */
+
+export const DEFAULT_MODEL = 'models/1713137135966801258.vrm';
+export const DEFAULT_IDLE_ANIMATION = 'animations/idle.vrma';
+
+// Used until /api/personas answers, or when there's no server to ask
+export const FALLBACK_PERSONA = {
+    id: 'sol',
+    name: 'Sol',
+    welcome: ['hiiii 👀 took you long enough'],
+    welcomeReaction: 'flirty',
+    loveLevels: [{ min: 0, name: 'Curious', icon: '💗' }],
+    love: { base: 1, rules: [] },
+    reactions: { rules: [] },
+    voice: {},
+};
+
+/**
+ * @returns {Promise<{defaultId: string, personas: Map<string, object>}>}
+ */
+export async function fetchPersonas() {
+    const response = await fetch('/api/personas');
+    if (!response.ok) {
+        throw new Error(`/api/personas answered ${response.status}`);
+    }
+    const data = await response.json();
+    return {
+        defaultId: data.default,
+        personas: new Map(data.personas.map(persona => [persona.id, persona])),
+    };
+}
+
+// Does lowercased text satisfy a { any, all, none } rule?
+function matchesRule(rule, text) {
+    return (!rule.any || rule.any.some(word => text.includes(word))) &&
+        (!rule.all || rule.all.every(word => text.includes(word))) &&
+        (!rule.none || !rule.none.some(word => text.includes(word)));
+}
+
+// Love points for a reply: the base for showing up plus every matching rule
+export function scoreLove(persona, text) {
+    const lowerText = text.toLowerCase();
+    const points = persona.love.rules
+        .filter(rule => matchesRule(rule, lowerText))
+        .reduce((total, rule) => total + rule.points, persona.love.base);
+    return Math.max(0, points);
+}
+
+// First matching reaction rule, else the occasional random one (null = none)
+export function pickReaction(persona, text) {
+    const lowerText = text.toLowerCase();
+    const rule = persona.reactions.rules.find(candidate => matchesRule(candidate, lowerText));
+    if (rule) return rule.reaction;
+
+    const random = persona.reactions.random;
+    return random && Math.random() < random.chance ? random.reaction : null;
+}
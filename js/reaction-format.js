@@ -0,0 +1,13 @@
+/**
+ * Reaction Format - what a reaction tag may say
+ *
+ * Shared by the server (lib/reactions.js builds the tag instructions and
+ * parses replies) and the page (js/transcript.js checks imported chats),
+ * so both accept exactly the same reactions. No DOM, no Node: both load it.
+ */
+
+export const EMOTIONS = ['neutral', 'happy', 'flirty', 'excited', 'laugh', 'shy', 'confused', 'surprised', 'annoyed', 'sad'];
+export const GESTURES = ['none', 'wink', 'giggle', 'gasp', 'pout'];
+
+// Love points per reply, like the page's own scoring (1 for showing up, more when she's into it)
+export const LOVE_RANGE = { min: -3, max: 6 };
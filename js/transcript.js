@@ -0,0 +1,196 @@
+/**
+ * Transcripts - export a chat as JSON, Markdown or standalone HTML, and
+ * read a JSON export back in
+ *
+ * A transcript is:
+ *   { format: 'solwaifu-transcript', version: 1, title, persona, name, exportedAt,
+ *     messages: [{ role, content, time, love?, lovePoints?, loveLevel?, reaction? }] }
+ * where `name` is the persona's display name and the love fields and
+ * reaction are only on her replies.
+ */
+
+import { EMOTIONS, GESTURES, LOVE_RANGE } from './reaction-format.js';
+
+export const TRANSCRIPT_FORMAT = 'solwaifu-transcript';
+export const EXPORT_FORMATS = ['json', 'md', 'html'];
+
+// Matches CHAT_LIMITS.MAX_MESSAGE_CHARS on the server
+const MAX_MESSAGE_CHARS = 4000;
+
+const REACTION_EMOJI = {
+    neutral: '😐', happy: '😊', flirty: '😏', excited: '🤩', laugh: '😂',
+    shy: '🫣', confused: '🤨', surprised: '😳', annoyed: '🙄', sad: '🥺',
+};
+
+export function buildTranscript({ title, persona, name, messages }) {
+    return {
+        format: TRANSCRIPT_FORMAT,
+        version: 1,
+        title,
+        persona,
+        name,
+        exportedAt: new Date().toISOString(),
+        messages: messages.map(({ role, content, time, love, lovePoints, loveLevel, reaction }) => ({
+            role, content, time, love, lovePoints, loveLevel, reaction,
+        })),
+    };
+}
+
+function formatTime(time) {
+    return time ? new Date(time).toLocaleString() : '';
+}
+
+// "😏 flirty · +3 💗 Flirty" for a reply, '' for the user
+function replyDetails(message) {
+    const details = [];
+    if (message.reaction) {
+        details.push(`${REACTION_EMOJI[message.reaction.emotion] || ''} ${message.reaction.emotion}`.trim());
+    }
+    if (message.love !== undefined) {
+        const sign = message.love >= 0 ? '+' : '';
+        details.push(`${sign}${message.love} 💗${message.loveLevel ? ` ${message.loveLevel}` : ''}`);
+    }
+    return details.join(' · ');
+}
+
+function speaker(transcript, message) {
+    return message.role === 'user' ? 'you' : transcript.name || 'Sol';
+}
+
+export function toJSON(transcript) {
+    return JSON.stringify(transcript, null, 2);
+}
+
+export function toMarkdown(transcript) {
+    const lines = [
+        `# ${transcript.title || `Chat with ${transcript.name || 'Sol'}`}`,
+        '',
+        `_exported ${formatTime(transcript.exportedAt)} · persona: ${transcript.persona}_`,
+        '',
+    ];
+
+    for (const message of transcript.messages) {
+        const header = [`**${speaker(transcript, message)}**`, formatTime(message.time), replyDetails(message)].filter(Boolean);
+        lines.push(header.join(' · '), '');
+        lines.push(...message.content.split('\n').map(line => `> ${line}`), '');
+    }
+
+    return lines.join('\n');
+}
+
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Single file, inline styles, no scripts - safe to open or share anywhere
+export function toHTML(transcript) {
+    const title = escapeHTML(transcript.title || `Chat with ${transcript.name || 'Sol'}`);
+    const messages = transcript.messages.map(message => {
+        const meta = [formatTime(message.time), replyDetails(message)].filter(Boolean).join(' · ');
+        return `    <div class="message ${message.role === 'user' ? 'user' : 'ai'}">
+      <div class="text">${escapeHTML(message.content)}</div>
+      <div class="meta">${escapeHTML(meta)}</div>
+    </div>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${title}</title>
+  <style>
+    body { margin: 0; padding: 32px 16px; background: #05050a; color: #faf5ff; font-family: -apple-system, 'Segoe UI', sans-serif; }
+    main { max-width: 640px; margin: 0 auto; display: flex; flex-direction: column; gap: 14px; }
+    h1 { margin: 0; font-size: 1.4rem; background: linear-gradient(135deg, #ff2e97, #8b5cf6); -webkit-background-clip: text; background-clip: text; color: transparent; }
+    .exported { color: #7c6f9c; font-size: 0.8rem; margin-bottom: 12px; }
+    .message { max-width: 85%; padding: 12px 16px; border-radius: 18px; line-height: 1.6; }
+    .message .text { white-space: pre-wrap; }
+    .message .meta { margin-top: 6px; font-size: 0.7rem; opacity: 0.7; }
+    .user { align-self: flex-end; background: linear-gradient(135deg, #ff2e97, #8b5cf6); border-bottom-right-radius: 6px; }
+    .ai { align-self: flex-start; background: #1a1028; border: 1px solid rgba(192, 132, 252, 0.3); border-bottom-left-radius: 6px; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>${title}</h1>
+    <div class="exported">exported ${escapeHTML(formatTime(transcript.exportedAt))} · persona: ${escapeHTML(transcript.persona)}</div>
+${messages}
+  </main>
+</body>
+</html>
+`;
+}
+
+// An imported reaction in the shape lib/reactions.js gives, or null when it isn't one
+function importedReaction(reaction) {
+    const { emotion, intensity, gesture, love } = reaction || {};
+    if (!EMOTIONS.includes(emotion) || !GESTURES.includes(gesture)) return null;
+    if (typeof intensity !== 'number' || !(intensity >= 0 && intensity <= 1)) return null;
+
+    return {
+        emotion,
+        intensity,
+        gesture,
+        ...(Number.isInteger(love) && love >= LOVE_RANGE.min && love <= LOVE_RANGE.max ? { love } : {}),
+    };
+}
+
+/**
+ * Read a JSON export back. Only role, content, time and a valid reaction
+ * are kept: love points were already counted when the chat happened.
+ *
+ * @returns {{persona: string|null, messages: object[]}}
+ * @throws {Error} With a readable message when the file isn't a usable transcript
+ */
+export function parseTranscript(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error("that file isn't JSON");
+    }
+
+    if (data?.format !== TRANSCRIPT_FORMAT || !Array.isArray(data.messages)) {
+        throw new Error("that's not a Sol chat export");
+    }
+
+    const messages = [];
+    for (const message of data.messages) {
+        if (!['user', 'assistant'].includes(message?.role) || typeof message.content !== 'string' || !message.content.trim()) {
+            throw new Error('the export has a broken message in it');
+        }
+        if (message.content.length > MAX_MESSAGE_CHARS) {
+            throw new Error(`a message is longer than ${MAX_MESSAGE_CHARS} characters`);
+        }
+
+        // Roles must alternate starting with the user; skip anything that doesn't
+        const expectedRole = messages.length % 2 === 0 ? 'user' : 'assistant';
+        if (message.role !== expectedRole) continue;
+
+        const reaction = message.role === 'assistant' ? importedReaction(message.reaction) : null;
+        messages.push({
+            role: message.role,
+            content: message.content,
+            ...(Number.isFinite(message.time) ? { time: message.time } : {}),
+            ...(reaction ? { reaction } : {}),
+        });
+    }
+
+    // A trailing unanswered message would break the next send
+    if (messages[messages.length - 1]?.role === 'user') {
+        messages.pop();
+    }
+    if (messages.length === 0) {
+        throw new Error('the export has no messages');
+    }
+
+    return {
+        persona: typeof data.persona === 'string' && /^[\w-]+$/.test(data.persona) ? data.persona : null,
+        messages,
+    };
+}
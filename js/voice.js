@@ -1,11 +1,30 @@
 /**
  * Voice Controller - Premium Text-to-Speech for Degen Waifu
  * Priority order:
- * 1. ElevenLabs (if API key provided) - Best quality
+ * 1. ElevenLabs via /api/tts (if the server has a key) - Best quality
  * 2. Puter.js OpenAI TTS (shimmer voice) - Natural sounding, FREE
  * 3. Web Speech API - Fallback
  */
 
+export const VOICE_PROVIDERS = ['auto', 'elevenlabs', 'puter', 'browser'];
+export const PUTER_VOICES = ['shimmer', 'alloy', 'echo', 'fable', 'onyx', 'nova'];
+
+// Natural sounding female Web Speech voices, best first (persona packs can swap these)
+const DEFAULT_BROWSER_VOICES = [
+    'Microsoft Aria Online',
+    'Microsoft Jenny',
+    'Google US English',
+    'Samantha',
+    'Microsoft Zira',
+    'Karen',
+];
+
+const DEFAULT_SPEECH_SETTINGS = {
+    rate: 0.82,
+    pitch: 1.05,
+    volume: 1.0
+};
+
 export class VoiceController {
     constructor() {
         this.synth = window.speechSynthesis;
@@ -18,10 +37,19 @@ export class VoiceController {
         // Audio element for ElevenLabs and Puter
         this.audio = new Audio();
 
-        // ElevenLabs settings (user can set API key)
-        this.elevenLabsKey = localStorage.getItem('elevenLabsKey') || null;
-        this.elevenLabsVoiceId = '2ajXGJNYBR0iNHpS4VZb'; // Sol's custom voice
-        this.useElevenLabs = false;
+        // ElevenLabs runs through the server's /api/tts (key and voice live there).
+        // Turned off after the server says it has no key.
+        this.useElevenLabs = true;
+
+        // Set by ChatController: resolves to the session header for /api/* calls
+        this.getAuthHeaders = null;
+
+        // auto = best available (order above); elevenlabs | puter | browser pin one
+        this.provider = 'auto';
+
+        // Persona sent to /api/tts (packs can have their own ElevenLabs voice)
+        this.personaId = null;
+        this.preferredVoices = DEFAULT_BROWSER_VOICES;
 
         // Puter.js settings - FREE OpenAI TTS
         this.usePuter = true; // Enable by default
@@ -29,21 +57,14 @@ export class VoiceController {
         this.puterReady = false;
 
         // Voice settings for Web Speech fallback
-        this.settings = {
-            rate: 0.82,
-            pitch: 1.05,
-            volume: 1.0
-        };
+        this.settings = { ...DEFAULT_SPEECH_SETTINGS };
 
         this.init();
     }
 
     init() {
-        // Check for ElevenLabs key
-        if (this.elevenLabsKey) {
-            this.useElevenLabs = true;
-            console.log('ElevenLabs voice enabled');
-        }
+        // Keys used to be stored in the browser; the server holds it now
+        localStorage.removeItem('elevenLabsKey');
 
         // Check if Puter.js is available (check now and retry after delay)
         this.checkPuterAvailability();
@@ -85,17 +106,7 @@ export class VoiceController {
     selectVoice() {
         const voices = this.synth.getVoices();
 
-        // Priority: Natural sounding female voices
-        const preferredVoices = [
-            'Microsoft Aria Online',
-            'Microsoft Jenny',
-            'Google US English',
-            'Samantha',
-            'Microsoft Zira',
-            'Karen',
-        ];
-
-        for (const preferred of preferredVoices) {
+        for (const preferred of this.preferredVoices) {
             const found = voices.find(v =>
                 v.name.toLowerCase().includes(preferred.toLowerCase())
             );
@@ -119,16 +130,6 @@ export class VoiceController {
         }
     }
 
-    /**
-     * Set ElevenLabs API key
-     */
-    setElevenLabsKey(key) {
-        this.elevenLabsKey = key;
-        localStorage.setItem('elevenLabsKey', key);
-        this.useElevenLabs = !!key;
-        console.log('ElevenLabs', key ? 'enabled' : 'disabled');
-    }
-
     /**
      * Speak text with natural voice
      * Priority: ElevenLabs > Puter.js > Web Speech
@@ -142,7 +143,7 @@ export class VoiceController {
         if (!cleanText) return;
 
         // Try ElevenLabs first if available (premium)
-        if (this.useElevenLabs && this.elevenLabsKey) {
+        if (this.useElevenLabs && ['auto', 'elevenlabs'].includes(this.provider)) {
             try {
                 await this.speakWithElevenLabs(cleanText);
                 return;
@@ -152,7 +153,7 @@ export class VoiceController {
         }
 
         // Try Puter.js OpenAI TTS (free, natural voice)
-        if (this.usePuter && this.puterReady) {
+        if (this.usePuter && this.puterReady && this.provider !== 'browser') {
             try {
                 await this.speakWithPuter(cleanText);
                 return;
@@ -207,32 +208,24 @@ export class VoiceController {
     }
 
     /**
-     * Speak using ElevenLabs API (premium natural voice)
+     * Speak using ElevenLabs through the server's /api/tts (premium natural voice)
      */
     async speakWithElevenLabs(text) {
-        const response = await fetch(
-            `https://api.elevenlabs.io/v1/text-to-speech/${this.elevenLabsVoiceId}`,
-            {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'xi-api-key': this.elevenLabsKey
-                },
-                body: JSON.stringify({
-                    text: text,
-                    model_id: 'eleven_turbo_v2_5',
-                    voice_settings: {
-                        stability: 0.30,
-                        similarity_boost: 0.80,
-                        style: 0.75,
-                        use_speaker_boost: true,
-                        speaking_rate: 0.85
-                    }
-                })
-            }
-        );
+        const authHeaders = this.getAuthHeaders ? await this.getAuthHeaders() : {};
+        const response = await fetch('/api/tts', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...authHeaders
+            },
+            body: JSON.stringify({ text, persona: this.personaId })
+        });
 
         if (!response.ok) {
+            // No key on the server (or no /api/tts at all): stop asking
+            if (response.status === 503 || response.status === 404) {
+                this.useElevenLabs = false;
+            }
             throw new Error(`ElevenLabs error: ${response.status}`);
         }
 
@@ -358,6 +351,36 @@ export class VoiceController {
         return this.isSpeaking || this.synth.speaking || !this.audio.paused;
     }
 
+    /**
+     * Prefer one TTS backend: auto | elevenlabs | puter | browser.
+     * Later ones in the priority list still catch failures.
+     * @returns {boolean} false for an unknown provider
+     */
+    setProvider(provider) {
+        if (!VOICE_PROVIDERS.includes(provider)) return false;
+        this.provider = provider;
+        return true;
+    }
+
+    /**
+     * Use a persona pack's voice preferences (see js/personas.js);
+     * anything the pack leaves out goes back to the defaults
+     */
+    applyPersona(persona) {
+        const voice = persona.voice || {};
+        this.stop();
+        this.personaId = persona.id;
+        this.provider = voice.provider || 'auto';
+        this.puterVoice = voice.puterVoice || 'shimmer';
+        this.preferredVoices = voice.browserVoices || DEFAULT_BROWSER_VOICES;
+        this.settings = {
+            ...this.settings,
+            rate: voice.rate ?? DEFAULT_SPEECH_SETTINGS.rate,
+            pitch: voice.pitch ?? DEFAULT_SPEECH_SETTINGS.pitch
+        };
+        this.selectVoice();
+    }
+
     /**
      * Get available Web Speech voices
      */
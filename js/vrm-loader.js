@@ -23,7 +23,7 @@ export class VRMLoader {
         this.loader.register((parser) => new VRMAnimationLoaderPlugin(parser));
     }
 
-    async load(url, onProgress) {
+    async load(url, onProgress, idleAnimationUrl = './animations/idle.vrma') {
         return new Promise((resolve, reject) => {
             this.loader.load(
                 url,
@@ -56,7 +56,7 @@ export class VRMLoader {
 
                         // Try to load idle animation
                         try {
-                            await this.loadAnimation('./animations/idle.vrma');
+                            await this.loadAnimation(idleAnimationUrl);
                             console.log('VRMA idle animation loaded and playing');
                         } catch (e) {
                             console.warn('Could not load VRMA animation:', e.message);
@@ -0,0 +1,136 @@
+/**
+ * API Access - CORS origin allowlist and signed session tokens
+ *
+ * Same-origin calls are always allowed; other sites only when listed in
+ * `cors.allowedOrigins` ('*' allows any). When `session.secret` is set, the
+ * page fetches a short-lived token from /api/session on load and sends it
+ * as `X-Session-Token` with every /api/chat call.
+ *
+ * Token format: v1.<expires (epoch seconds)>.<nonce>.<HMAC-SHA256 signature>
+ *
+ * /api/stats and /metrics take the stats token as `Authorization: Bearer <token>`,
+ * compared in constant time.
+ *
+ * The caller's IP (rate limits, budgets) only comes from X-Forwarded-For
+ * when the server is told how many proxies of its own sit in front of it.
+ */
+
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+export const SESSION_HEADER = 'X-Session-Token';
+
+// ============================================================
+// 🌐 ORIGINS
+// ============================================================
+
+/**
+ * Whether a request from `origin` may use the API.
+ * Requests without an Origin header (curl, same-origin GETs) pass; the
+ * session token is what guards those.
+ *
+ * @param {string|null} origin - Origin request header
+ * @param {string|null} host - Host the request was sent to
+ * @param {string[]} allowedOrigins
+ */
+export function isOriginAllowed(origin, host, allowedOrigins = []) {
+    if (!origin) return true;
+    if (allowedOrigins.includes('*') || allowedOrigins.includes(origin)) return true;
+
+    try {
+        return new URL(origin).host === host;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * CORS headers for a response to `origin`. Disallowed (or absent) origins
+ * get no Allow-Origin header, so browsers won't hand them the response.
+ */
+export function corsHeaders(origin, host, allowedOrigins = []) {
+    const headers = {
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': `Content-Type, Authorization, ${SESSION_HEADER}`,
+        'Access-Control-Expose-Headers': 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, X-Request-Id',
+        'Access-Control-Max-Age': '86400',
+        'Vary': 'Origin',
+    };
+
+    if (origin && isOriginAllowed(origin, host, allowedOrigins)) {
+        headers['Access-Control-Allow-Origin'] = allowedOrigins.includes('*') ? '*' : origin;
+    }
+
+    return headers;
+}
+
+// ============================================================
+// 📍 CLIENT IP
+// ============================================================
+
+/**
+ * Who is calling, for per-IP limits. X-Forwarded-For is client-controlled
+ * except for the entries our own proxies appended, so with `trustProxy`
+ * proxies the client is the address the outermost one saw.
+ *
+ * @param {string|null} forwardedFor - X-Forwarded-For request header
+ * @param {string|null} remoteAddress - Address of the connecting socket
+ * @param {number} [trustProxy] - Proxies in front of the server (0 = ignore the header)
+ */
+export function resolveClientIP(forwardedFor, remoteAddress, trustProxy = 0) {
+    const hops = trustProxy > 0 && forwardedFor
+        ? forwardedFor.split(',').map(hop => hop.trim()).filter(Boolean)
+        : [];
+    if (hops.length === 0) return remoteAddress || 'unknown';
+    return hops[Math.max(0, hops.length - trustProxy)];
+}
+
+// ============================================================
+// 🔑 BEARER TOKENS
+// ============================================================
+
+/**
+ * Whether an Authorization header carries `Bearer <token>`. Digests are
+ * compared so neither the time taken nor the length gives the token away.
+ */
+export function hasBearerToken(authorization, token) {
+    const digest = value => createHash('sha256').update(String(value)).digest();
+    return timingSafeEqual(digest(authorization ?? ''), digest(`Bearer ${token}`));
+}
+
+// ============================================================
+// 🎟️ SESSION TOKENS
+// ============================================================
+
+function sign(payload, secret) {
+    return createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * @param {string} secret
+ * @param {number} ttlSeconds
+ * @returns {{token: string, expiresAt: number}} expiresAt in epoch seconds
+ */
+export function createSessionToken(secret, ttlSeconds) {
+    const expiresAt = Math.floor(Date.now() / 1000) + ttlSeconds;
+    const payload = `v1.${expiresAt}.${randomBytes(9).toString('base64url')}`;
+    return { token: `${payload}.${sign(payload, secret)}`, expiresAt };
+}
+
+/**
+ * @returns {'ok'|'missing'|'invalid'|'expired'}
+ */
+export function verifySessionToken(token, secret) {
+    if (!token) return 'missing';
+
+    const parts = String(token).split('.');
+    if (parts.length !== 4 || parts[0] !== 'v1') return 'invalid';
+
+    const payload = parts.slice(0, 3).join('.');
+    const expected = Buffer.from(sign(payload, secret));
+    const actual = Buffer.from(parts[3]);
+    if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+        return 'invalid';
+    }
+
+    return Number(parts[1]) > Date.now() / 1000 ? 'ok' : 'expired';
+}
@@ -0,0 +1,719 @@
+/**
+ * Chat Proxy Core - shared by server.js and the Netlify function
+ *
+ * Request validation, rate limiting, provider selection and error shapes
+ * are defined here once. Entry points only translate their platform's request
+ * into handleChatRequest() and write the result back out.
+ */
+
+import { loadPersonaLibrary } from './personas.js';
+import { CHAT_LIMITS, validateChatPayload } from './validation.js';
+import { loadConfig } from './config.js';
+import { createRateLimiter } from './rate-limit.js';
+import { UsageTracker, BUDGET_EXHAUSTED_MESSAGE, visitorId } from './usage.js';
+import { createProviderChain } from './providers/index.js';
+import { createMockFetch, loadMockScript } from './mock-anthropic.js';
+import { ContextManager, estimateTokens } from './context.js';
+import { MemoryExtractor, memoryNotes, withMemories } from './memory.js';
+import { ReactionTagFilter, extractReaction, withReactionFormat } from './reactions.js';
+import { isOriginAllowed, corsHeaders, createSessionToken, hasBearerToken, verifySessionToken } from './access.js';
+import { ElevenLabsTTS, TTSCache, ttsCacheKey } from './tts.js';
+import { createProxyMetrics } from './metrics.js';
+import { logger, createRequestId, AuditLog } from './logging.js';
+import { messageText } from './providers/http.js';
+import { formatSSE } from './streams.js';
+
+export { ProxyError } from './errors.js';
+
+// ============================================================
+// ⚙️ CONFIG (see lib/config.js)
+// ============================================================
+let config = null;
+let personas = null;
+let provider = null;
+let contextManager = null;
+let memoryExtractor = null;
+let rateLimiter = null;
+let usageTracker = null;
+let tts = null;
+let ttsCache = null;
+let auditLog = null;
+
+/**
+ * Build the provider, rate limiter, usage tracker and TTS from a config
+ * (the result of loadConfig) and load the persona packs. Entry points
+ * that don't call this get a config built from environment variables on
+ * first use.
+ *
+ * @throws {PersonaPackError} When a persona pack is broken
+ */
+export function configureProxy(newConfig) {
+    config = newConfig;
+    personas = loadPersonaLibrary(config.personas.dir, config.personas.default);
+
+    // Timeouts, retries and fallback models wrap every provider (lib/providers/resilient.js)
+    const chain = {
+        model: config.llm.model,
+        maxTokens: config.llm.maxTokens,
+        fallbackModels: config.llm.fallbackModels,
+        timeoutMs: config.llm.timeoutMs,
+        retries: config.llm.retries,
+        retryBaseDelayMs: config.llm.retryBaseDelayMs,
+        onRetry: ({ model, attempt, delayMs, error }) => {
+            metrics.upstreamRetries.inc({ upstream: provider.name });
+            logger.warn('upstream_retry', { model, attempt, delay_ms: delayMs, error: error.message });
+        },
+    };
+
+    // 🧪 Mock mode: canned Sol replies, no API key or network needed
+    const backend = config.mock
+        ? {
+            name: 'anthropic',
+            apiKey: 'mock',
+            fetch: createMockFetch({ script: config.mockScript ? loadMockScript(config.mockScript) : null }),
+        }
+        : { name: config.llm.provider, apiKey: config.llm.apiKey, baseUrl: config.llm.baseUrl };
+
+    provider = createProviderChain({ ...chain, ...backend });
+
+    // Summaries (lib/context.js) and memory extraction (lib/memory.js) use a (usually cheaper) model
+    const helper = createProviderChain({
+        ...chain,
+        ...backend,
+        model: config.context.summaryModel || config.llm.model,
+        maxTokens: config.context.summaryMaxTokens,
+        fallbackModels: [],
+    });
+    contextManager = new ContextManager({
+        summarizer: helper,
+        keepTurns: config.context.keepTurns,
+        maxInputTokens: config.context.maxInputTokens,
+    });
+    memoryExtractor = config.memory.enabled ? new MemoryExtractor({ provider: helper }) : null;
+
+    rateLimiter = createRateLimiter(config.rateLimit);
+    usageTracker = new UsageTracker({ ...config.budget, secret: visitorSecret() });
+
+    tts = new ElevenLabsTTS({ apiKey: config.tts.apiKey, voiceId: config.tts.voiceId, model: config.tts.model });
+    ttsCache = new TTSCache(config.tts.cacheDir);
+
+    auditLog = config.logging.audit
+        ? new AuditLog(config.logging.dir, { retentionDays: config.logging.retentionDays })
+        : null;
+}
+
+function ensureConfigured() {
+    if (!config) configureProxy(loadConfig());
+}
+
+// ============================================================
+// 🤖 LLM PROVIDER (anthropic / openai / ollama, see lib/providers/)
+// ============================================================
+
+export function getProvider() {
+    ensureConfigured();
+    return provider;
+}
+
+/**
+ * Swap the provider, e.g. createProvider({ name: 'ollama' }) or an
+ * Anthropic provider whose fetch is the offline mock
+ */
+export function setProvider(newProvider) {
+    ensureConfigured();
+    provider = newProvider;
+}
+
+// ============================================================
+// 🛡️ RATE LIMITING (windows and stores live in lib/rate-limit.js)
+// ============================================================
+
+/**
+ * Swap in a differently configured limiter, e.g. one backed by
+ * new RedisRateLimitStore(client)
+ */
+export function setRateLimiter(limiter) {
+    ensureConfigured();
+    rateLimiter = limiter;
+}
+
+// Drop requests that have left every rate limit window
+export function cleanupRateLimitStore() {
+    ensureConfigured();
+    return rateLimiter.cleanup();
+}
+
+// ============================================================
+// 💸 TOKEN USAGE (pricing lives in lib/usage.js)
+// ============================================================
+
+// Key for visitor ids; falls back to the session secret, then to a per-process one
+function visitorSecret() {
+    return config.visitorSecret || config.session.secret;
+}
+
+export function getUsageTracker() {
+    ensureConfigured();
+    return usageTracker;
+}
+
+// ============================================================
+// 🔐 ACCESS (origin allowlist + session tokens, see lib/access.js)
+// ============================================================
+
+// CORS headers every entry point adds to its responses
+export function corsHeadersFor(origin, host) {
+    ensureConfigured();
+    return corsHeaders(origin, host, config.cors.allowedOrigins);
+}
+
+// Error result when the caller may not use the API, otherwise null
+function checkAccess({ origin, host, sessionToken }) {
+    if (!isOriginAllowed(origin, host, config.cors.allowedOrigins)) {
+        return errorResult(403, 'Origin not allowed', { code: 'origin_not_allowed' });
+    }
+
+    if (config.session.secret) {
+        const status = verifySessionToken(sessionToken, config.session.secret);
+        if (status === 'expired') {
+            return errorResult(401, 'Session expired', { code: 'session_expired' });
+        }
+        if (status !== 'ok') {
+            return errorResult(401, 'Missing or invalid session token', { code: 'session_invalid' });
+        }
+    }
+
+    return null;
+}
+
+// ============================================================
+// 📦 RESPONSE SHAPES
+// ============================================================
+
+export const JSON_HEADERS = { 'Content-Type': 'application/json' };
+
+export const SSE_HEADERS = {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+};
+
+function jsonResult(status, data, headers = {}) {
+    return { status, headers: { ...JSON_HEADERS, ...headers }, body: JSON.stringify(data) };
+}
+
+// Every error body is `{ error, code? }` (`code` is also kept on the result for metrics)
+function errorResult(status, message, { headers = {}, code } = {}) {
+    const result = jsonResult(status, code ? { error: message, code } : { error: message }, headers);
+    if (code) result.code = code;
+    return result;
+}
+
+// ============================================================
+// 📈 METRICS & REQUEST LOGS (see lib/metrics.js, lib/logging.js)
+// ============================================================
+export const metrics = createProxyMetrics();
+
+// Failures that are expected, so they don't page anyone watching error-level logs:
+// a feature that's turned off, or an upstream that's busy (retried already, told to the user in character)
+const INFO_CODES = new Set(['tts_unavailable']);
+const WARN_CODES = new Set(['upstream_rate_limited', 'upstream_overloaded']);
+
+function logLevel(status, code, error) {
+    if (INFO_CODES.has(code)) return logger.info;
+    if (WARN_CODES.has(code)) return logger.warn;
+    return status >= 500 || error ? logger.error : logger.info;
+}
+
+/**
+ * Run a route handler, counting its status, timing it (streams until their
+ * last chunk) and writing one JSON log line. Handlers fill in `ctx`
+ * (persona, usage, error) as they learn them.
+ */
+async function instrumented(route, { clientIP }, run) {
+    const startedAt = performance.now();
+    const ctx = { requestId: createRequestId(), persona: null, usage: null, error: null };
+
+    const finish = (status, code) => {
+        const seconds = (performance.now() - startedAt) / 1000;
+        metrics.requests.inc({ route, status });
+        metrics.duration.observe({ route }, seconds);
+
+        logLevel(status, code, ctx.error)('request', {
+            request_id: ctx.requestId,
+            route,
+            status,
+            latency_ms: Math.round(seconds * 1000),
+            visitor: visitorId(clientIP || 'unknown', visitorSecret()),
+            persona: ctx.persona,
+            input_tokens: ctx.usage?.input_tokens ?? null,
+            output_tokens: ctx.usage?.output_tokens ?? null,
+            ...(ctx.error ? { error: ctx.error } : {}),
+        });
+    };
+
+    const result = await run(ctx);
+    result.headers = { ...result.headers, 'X-Request-Id': ctx.requestId };
+
+    if (result.status === 429) {
+        metrics.rateLimited.inc({ route, reason: result.code || 'unknown' });
+    }
+
+    if (result.stream) {
+        const stream = result.stream;
+        result.stream = (async function* () {
+            try {
+                yield* stream;
+            } finally {
+                finish(result.status, result.code);
+            }
+        })();
+    } else {
+        finish(result.status, result.code);
+    }
+
+    return result;
+}
+
+// status: upstream HTTP status, "timeout", "network" when unreachable, "stream" for errors mid-stream
+function recordUpstreamError(upstream, error) {
+    const status = error.upstreamStatus ||
+        (error.code === 'upstream_timeout' ? 'timeout' : error.status ? 'network' : 'stream');
+    metrics.upstreamErrors.inc({ upstream, status });
+}
+
+function recordTokens(usage = {}) {
+    metrics.tokens.inc({ type: 'input' }, usage.input_tokens || 0);
+    metrics.tokens.inc({ type: 'output' }, usage.output_tokens || 0);
+}
+
+// ============================================================
+// 📡 STREAM RELAY
+// ============================================================
+
+// Turn provider stream events into our own delta/done/error Server-Sent Events.
+// The reaction tag is kept out of the deltas; onReply(message) returns what
+// the done event carries.
+async function* relayStream(events, signal, onReply, onError) {
+    const tags = new ReactionTagFilter();
+
+    try {
+        for await (const event of events) {
+            if (event.type === 'delta') {
+                const text = tags.push(event.text);
+                if (text) yield formatSSE('delta', { text });
+            } else if (event.type === 'done') {
+                const rest = tags.flush();
+                if (rest) yield formatSSE('delta', { text: rest });
+                yield formatSSE('done', await onReply(event.message));
+            }
+        }
+    } catch (error) {
+        if (signal?.aborted) return;
+        onError(error);
+        yield formatSSE('error', { error: error.message, code: 'upstream_error' });
+    }
+}
+
+// ============================================================
+// 💬 /api/chat
+// ============================================================
+
+/**
+ * Handle one /api/chat request.
+ *
+ * @param {object} req
+ * @param {string} req.method - HTTP method
+ * @param {string} req.clientIP - Caller IP used for rate limiting
+ * @param {string} req.rawBody - Unparsed request body: `{ persona?, messages, summary?, memories?, stream? }`
+ * @param {boolean} [req.bodyTooLarge] - The server stopped reading the body past MAX_BODY_BYTES (answered 413)
+ * @param {AbortSignal} [req.signal] - Aborted when the client disconnects
+ * @param {string} [req.origin] - Origin request header
+ * @param {string} [req.host] - Host the request was sent to (for same-origin checks)
+ * @param {string} [req.sessionToken] - X-Session-Token request header
+ * @returns {Promise<{status: number, headers: object, body?: string, stream?: AsyncIterable<string>}>}
+ *   Either a JSON `body` or a `stream` of Server-Sent Event strings.
+ */
+export function handleChatRequest(req) {
+    return instrumented('chat', req, ctx => chatRequest(req, ctx));
+}
+
+async function chatRequest({ method, clientIP, rawBody, bodyTooLarge, signal, origin, host, sessionToken }, ctx) {
+    if (method !== 'POST') {
+        return errorResult(405, 'Method not allowed');
+    }
+
+    ensureConfigured();
+
+    const denied = checkAccess({ origin, host, sessionToken });
+    if (denied) {
+        return denied;
+    }
+
+    // Check rate limit
+    const rateCheck = await rateLimiter.check(clientIP || 'unknown');
+    if (!rateCheck.allowed) {
+        return errorResult(429, rateCheck.reason, { headers: rateCheck.headers, code: 'rate_limited' });
+    }
+
+    const result = await respondToChat({ clientIP, rawBody, bodyTooLarge, signal }, ctx);
+    result.headers = { ...result.headers, ...rateCheck.headers };
+    return result;
+}
+
+// Validate an admitted request and answer it from upstream
+async function respondToChat({ clientIP, rawBody, bodyTooLarge, signal }, ctx) {
+    // Use server's API key (ignore client-provided key for security)
+    const llm = getProvider();
+    if (!llm.isConfigured()) {
+        return errorResult(500, 'Server API key not configured. Set ANTHROPIC_API_KEY (or LLM_API_KEY, or llm.apiKey in the config file).');
+    }
+
+    if (bodyTooLarge || Buffer.byteLength(rawBody || '') > CHAT_LIMITS.MAX_BODY_BYTES) {
+        return errorResult(413, `Request body too large (max ${CHAT_LIMITS.MAX_BODY_BYTES} bytes)`);
+    }
+
+    let body;
+    try {
+        body = JSON.parse(rawBody);
+    } catch (e) {
+        return errorResult(400, 'Invalid JSON');
+    }
+
+    // System prompts are server-owned; clients may only pick a persona id
+    if (body?.systemPrompt !== undefined || body?.system !== undefined) {
+        return errorResult(400, 'Custom system prompts are not accepted. Send a `persona` id instead.');
+    }
+
+    const validationError = validateChatPayload(body);
+    if (validationError) {
+        return errorResult(400, validationError);
+    }
+
+    const { persona: personaId, messages, summary, stream } = body;
+    const memories = memoryExtractor ? body.memories || [] : [];
+
+    const persona = personas.get(personaId);
+    if (!persona) {
+        return errorResult(400, `Unknown persona: ${personaId}`);
+    }
+    ctx.persona = persona.id;
+
+    // Daily token budget (global and per visitor)
+    if (!usageTracker.hasBudget(clientIP)) {
+        return errorResult(429, BUDGET_EXHAUSTED_MESSAGE, { code: 'budget_exhausted' });
+    }
+
+    const recordHelperUsage = usage => {
+        if (!usage) return;
+        usageTracker.record(clientIP, usage);
+        recordTokens(usage);
+    };
+
+    // Record the reply and attach what the browser needs: Sol's reaction (tag
+    // stripped from the text), the updated summary and new memories
+    let context = null;
+    let memoryTask = null;
+    const finishReply = async upstreamMessage => {
+        const { reaction, text } = extractReaction(messageText(upstreamMessage.content));
+        const message = { ...upstreamMessage, content: [{ type: 'text', text }] };
+
+        usageTracker.record(clientIP, message.usage);
+        recordTokens(message.usage);
+        ctx.usage = message.usage;
+
+        auditLog?.write({
+            request_id: ctx.requestId,
+            visitor: visitorId(clientIP || 'unknown', visitorSecret()),
+            persona: persona.id,
+            user: messageText(messages[messages.length - 1].content),
+            reply: messageText(message.content),
+            usage: message.usage,
+        });
+
+        const reply = { ...message };
+        if (reaction) {
+            reply.reaction = reaction;
+        }
+        if (context?.summarizedCount) {
+            reply.context = { summary: context.summary, summarizedCount: context.summarizedCount };
+        }
+        if (memoryTask) {
+            const extracted = await memoryTask;
+            recordHelperUsage(extracted.usage);
+            if (extracted.memories.length) reply.memories = extracted.memories;
+        }
+        return reply;
+    };
+    const recordError = error => {
+        ctx.error = error.message;
+        recordUpstreamError(llm.name, error);
+    };
+
+    try {
+        const system = withReactionFormat(persona.systemPrompt);
+        const reservedTokens = estimateTokens(memoryNotes(memories));
+        context = await contextManager.prepare({ system, messages, summary, reservedTokens, signal });
+        recordHelperUsage(context.usage);
+
+        // Runs alongside the reply; finishReply waits for it
+        memoryTask = memoryExtractor?.extract({ messages, known: memories, signal }) || null;
+
+        // Memories are client-supplied too, so they go with the summary, not in the system prompt
+        const request = { system, messages: withMemories(context.messages, memories), signal };
+
+        // Streaming mode: relay text deltas as Server-Sent Events
+        if (stream) {
+            const events = await llm.stream(request);
+            return { status: 200, headers: SSE_HEADERS, stream: relayStream(events, signal, finishReply, recordError) };
+        }
+
+        const message = await llm.complete(request);
+        return jsonResult(200, await finishReply(message));
+    } catch (error) {
+        if (signal?.aborted) {
+            ctx.error = 'client disconnected';
+        } else {
+            recordError(error);
+        }
+        return errorResult(error.status || 500, error.message, { code: error.code });
+    }
+}
+
+// ============================================================
+// 🔊 /api/tts
+// ============================================================
+
+const AUDIO_HEADERS = { 'Content-Type': 'audio/mpeg', 'Cache-Control': 'private, max-age=86400' };
+
+/**
+ * Handle one /api/tts request: speak `{ text }` in Sol's ElevenLabs voice.
+ * Shares access checks and rate limit windows with /api/chat (counted separately).
+ *
+ * @param {object} req - Same fields as handleChatRequest
+ * @returns {Promise<{status: number, headers: object, body: string|Buffer}>}
+ *   MP3 audio on success, a JSON error otherwise
+ */
+export function handleTTSRequest(req) {
+    return instrumented('tts', req, ctx => ttsRequest(req, ctx));
+}
+
+async function ttsRequest({ method, clientIP, rawBody, bodyTooLarge, signal, origin, host, sessionToken }, ctx) {
+    if (method !== 'POST') {
+        return errorResult(405, 'Method not allowed');
+    }
+
+    ensureConfigured();
+
+    const denied = checkAccess({ origin, host, sessionToken });
+    if (denied) {
+        return denied;
+    }
+
+    const rateCheck = await rateLimiter.check(`tts:${clientIP || 'unknown'}`);
+    if (!rateCheck.allowed) {
+        return errorResult(429, rateCheck.reason, { headers: rateCheck.headers, code: 'rate_limited' });
+    }
+
+    const result = await respondToTTS({ rawBody, bodyTooLarge, signal }, ctx);
+    result.headers = { ...result.headers, ...rateCheck.headers };
+    return result;
+}
+
+async function respondToTTS({ rawBody, bodyTooLarge, signal }, ctx) {
+    if (!tts.isConfigured()) {
+        return errorResult(503, 'TTS not configured. Set ELEVENLABS_API_KEY.', { code: 'tts_unavailable' });
+    }
+
+    if (bodyTooLarge || Buffer.byteLength(rawBody || '') > CHAT_LIMITS.MAX_BODY_BYTES) {
+        return errorResult(413, `Request body too large (max ${CHAT_LIMITS.MAX_BODY_BYTES} bytes)`);
+    }
+
+    let body;
+    try {
+        body = JSON.parse(rawBody);
+    } catch (e) {
+        return errorResult(400, 'Invalid JSON');
+    }
+
+    const text = typeof body?.text === 'string' ? body.text.trim() : '';
+    if (!text) {
+        return errorResult(400, '`text` must be a non-empty string');
+    }
+    if (text.length > config.tts.maxChars) {
+        return errorResult(400, `\`text\` is too long (max ${config.tts.maxChars} characters)`);
+    }
+
+    // A persona pack can bring its own ElevenLabs voice
+    const persona = personas.get(typeof body.persona === 'string' ? body.persona : null);
+    if (!persona) {
+        return errorResult(400, `Unknown persona: ${body.persona}`);
+    }
+    ctx.persona = persona.id;
+    const voiceId = persona.voice?.elevenLabsVoiceId || tts.voiceId;
+
+    const key = ttsCacheKey(text, voiceId, tts.model);
+    const cached = await ttsCache.get(key);
+    if (cached) {
+        return { status: 200, headers: { ...AUDIO_HEADERS, 'X-TTS-Cache': 'hit' }, body: cached };
+    }
+
+    try {
+        const audio = await tts.synthesize({ text, voiceId, signal });
+        await ttsCache.set(key, audio);
+        return { status: 200, headers: { ...AUDIO_HEADERS, 'X-TTS-Cache': 'miss' }, body: audio };
+    } catch (error) {
+        ctx.error = error.message;
+        recordUpstreamError('elevenlabs', error);
+        return errorResult(error.status || 500, error.message);
+    }
+}
+
+// ============================================================
+// 🎭 /api/personas
+// ============================================================
+
+/**
+ * Handle one /api/personas request: the default persona id and every
+ * pack the page can switch to, minus system prompts.
+ *
+ * @param {object} req
+ * @param {string} req.method - HTTP method
+ */
+export function handlePersonasRequest({ method }) {
+    if (method !== 'GET') {
+        return errorResult(405, 'Method not allowed');
+    }
+
+    ensureConfigured();
+    return jsonResult(200, personas.toPublic(), { 'Cache-Control': 'no-cache' });
+}
+
+// ============================================================
+// 🎟️ /api/session
+// ============================================================
+
+/**
+ * Handle one /api/session request: issue a session token for /api/chat.
+ * Answers `{ token: null }` when session tokens are turned off.
+ *
+ * @param {object} req
+ * @param {string} req.method - HTTP method
+ * @param {string} [req.origin] - Origin request header
+ * @param {string} [req.host] - Host the request was sent to
+ */
+export function handleSessionRequest({ method, origin, host }) {
+    if (method !== 'GET') {
+        return errorResult(405, 'Method not allowed');
+    }
+
+    ensureConfigured();
+
+    if (!isOriginAllowed(origin, host, config.cors.allowedOrigins)) {
+        return errorResult(403, 'Origin not allowed', { code: 'origin_not_allowed' });
+    }
+
+    if (!config.session.secret) {
+        return jsonResult(200, { token: null });
+    }
+
+    const { token, expiresAt } = createSessionToken(config.session.secret, config.session.ttlSeconds);
+    return jsonResult(200, { token, expires_at: expiresAt }, { 'Cache-Control': 'no-store' });
+}
+
+// ============================================================
+// 📊 /api/stats
+// ============================================================
+
+/**
+ * Handle one /api/stats request: today's and all-time token totals.
+ * When a stats token is configured, callers must send `Authorization: Bearer <token>`
+ * and also get the top visitors; without one the stats are public and leave them out.
+ *
+ * @param {object} req
+ * @param {string} req.method - HTTP method
+ * @param {string} [req.authorization] - Authorization header value
+ * @param {string} [req.statsToken] - Required bearer token (missing = public)
+ */
+export function handleStatsRequest({ method, authorization, statsToken }) {
+    if (method !== 'GET') {
+        return errorResult(405, 'Method not allowed');
+    }
+
+    if (statsToken && !hasBearerToken(authorization, statsToken)) {
+        return errorResult(401, 'Unauthorized');
+    }
+
+    return jsonResult(200, getUsageTracker().getStats({ topVisitors: statsToken ? 10 : 0 }));
+}
+
+// ============================================================
+// 🩺 /healthz, /readyz, /metrics
+// ============================================================
+
+const READY_CACHE_MS = 30 * 1000;     // Don't ping the provider on every probe
+const READY_TIMEOUT_MS = 3000;
+let readyCache = null;
+
+// Liveness: the process is up and serving
+export function handleHealthRequest() {
+    return jsonResult(200, { status: 'ok', uptime_seconds: Math.round(process.uptime()) });
+}
+
+/**
+ * Readiness: the API key is configured and the provider answers (or is
+ * the offline mock). Provider pings are cached for READY_CACHE_MS.
+ */
+export async function handleReadyRequest() {
+    ensureConfigured();
+
+    const llm = getProvider();
+    const checks = { api_key: llm.isConfigured() ? 'ok' : 'missing', upstream: 'skipped' };
+
+    if (config.mock) {
+        checks.upstream = 'mocked';
+    } else if (checks.api_key === 'ok') {
+        if (!readyCache || readyCache.provider !== llm || Date.now() - readyCache.checkedAt > READY_CACHE_MS) {
+            let upstream = 'ok';
+            try {
+                await llm.ping({ signal: AbortSignal.timeout(READY_TIMEOUT_MS) });
+            } catch (error) {
+                upstream = `error: ${error.message}`;
+            }
+            readyCache = { provider: llm, upstream, checkedAt: Date.now() };
+        }
+        checks.upstream = readyCache.upstream;
+    }
+
+    const ready = checks.api_key === 'ok' && (checks.upstream === 'ok' || checks.upstream === 'mocked');
+    return jsonResult(ready ? 200 : 503, {
+        status: ready ? 'ready' : 'not_ready',
+        provider: config.mock ? 'mock' : llm.name,
+        checks,
+    }, { 'Cache-Control': 'no-store' });
+}
+
+/**
+ * Prometheus metrics. Protected by the stats token when one is configured.
+ * HEAD gets the same status and headers; the caller leaves out the body.
+ *
+ * @param {object} req
+ * @param {string} req.method - HTTP method (GET or HEAD)
+ * @param {string} [req.authorization] - Authorization header value
+ * @param {string} [req.statsToken] - Required bearer token (missing = public)
+ */
+export function handleMetricsRequest({ method, authorization, statsToken }) {
+    if (method !== 'GET' && method !== 'HEAD') {
+        return errorResult(405, 'Method not allowed');
+    }
+
+    if (statsToken && !hasBearerToken(authorization, statsToken)) {
+        return errorResult(401, 'Unauthorized');
+    }
+
+    return {
+        status: 200,
+        headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8', 'Cache-Control': 'no-store' },
+        body: metrics.registry.render(),
+    };
+}
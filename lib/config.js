@@ -0,0 +1,529 @@
+/**
+ * Configuration Loader
+ *
+ * Precedence (later wins): defaults < config file < environment < CLI flags.
+ * The config file is JSON or YAML (a simple subset: nested maps, scalars,
+ * lists). It's taken from --config, SOLWAIFU_CONFIG, or the first of
+ * solwaifu.config.json / .yaml / .yml found in the working directory.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { resolve, extname } from 'path';
+
+export const DEFAULT_CONFIG = {
+    port: 3000,
+    trustProxy: 0,                  // Proxies in front of server.js whose X-Forwarded-For is believed (0 = use the socket address)
+    mock: false,
+    mockScript: null,
+    llm: {
+        provider: 'anthropic',      // anthropic | openai | ollama
+        apiKey: null,
+        model: null,                // null = provider default
+        baseUrl: null,              // null = provider default
+        maxTokens: 1024,
+        timeoutMs: 30000,           // Per attempt, until the reply starts
+        retries: 2,                 // Extra attempts per model on 429/5xx/529/timeouts
+        retryBaseDelayMs: 500,      // Backoff doubles each retry (with jitter)
+        fallbackModels: [],         // Tried in order when the main model keeps failing
+    },
+    context: {
+        keepTurns: 6,               // Recent turns always sent word for word; older ones get summarized
+        maxInputTokens: 8000,       // Estimated input tokens per chat request (prompt + summary + messages)
+        summaryModel: null,         // Cheaper model for summaries and memory extraction (null = llm.model)
+        summaryMaxTokens: 300,
+    },
+    memory: {
+        enabled: true,              // Pull facts about the user out of chats and accept them back as memories
+    },
+    personas: {
+        dir: 'personas',            // One folder per persona pack (see lib/personas.js)
+        default: 'sol',             // Used when the page doesn't pick one
+    },
+    rateLimit: {
+        perMinute: 20,              // Max requests per IP per minute (0 = off)
+        perHour: 100,               // Max requests per IP per hour (0 = off)
+        perDay: 300,                // Max requests per IP per day (0 = off)
+        store: 'memory',            // memory | file
+        file: '.data/rate-limits.json',
+    },
+    budget: {
+        dailyGlobalTokens: 2_000_000,   // All visitors per UTC day (0 = unlimited)
+        dailyPerIPTokens: 50_000,       // One visitor per UTC day (0 = unlimited)
+    },
+    cors: {
+        allowedOrigins: [],         // Other sites allowed to call the API ('*' = any); same-origin always works
+    },
+    session: {
+        secret: null,               // Set to require a signed session token on /api/chat
+        ttlSeconds: 12 * 60 * 60,
+    },
+    tts: {
+        apiKey: null,               // ElevenLabs key; unset = /api/tts answers 503 and the page uses free voices
+        voiceId: '2ajXGJNYBR0iNHpS4VZb',
+        model: 'eleven_turbo_v2_5',
+        cacheDir: '.data/tts-cache',
+        maxChars: 1000,
+    },
+    logging: {
+        audit: false,               // Write conversations to daily files for moderation review
+        dir: '.data/logs',
+        retentionDays: 30,          // Delete audit files older than this (0 = keep forever)
+    },
+    statsToken: null,
+    visitorSecret: null,            // Key for the visitor ids in stats and logs (unset = session.secret, else random per process)
+};
+
+const DEFAULT_CONFIG_FILES = ['solwaifu.config.json', 'solwaifu.config.yaml', 'solwaifu.config.yml'];
+
+// Values printed as <redacted>
+const SECRET_PATHS = ['llm.apiKey', 'session.secret', 'tts.apiKey', 'statsToken', 'visitorSecret'];
+
+export class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+// ============================================================
+// 📄 YAML (subset)
+// ============================================================
+
+function stripComment(line) {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+            return line.slice(0, i).trimEnd();
+        }
+    }
+    return line;
+}
+
+function parseScalar(text) {
+    if (text.startsWith('"')) return JSON.parse(text);
+    if (text.startsWith("'")) return text.slice(1, -1).replace(/''/g, "'");
+    if (text.startsWith('[') && text.endsWith(']')) {
+        const inner = text.slice(1, -1).trim();
+        return inner ? inner.split(',').map(item => parseScalar(item.trim())) : [];
+    }
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (text === 'null' || text === '~') return null;
+    if (/^-?\d+(\.\d+)?$/.test(text.replace(/_/g, ''))) return Number(text.replace(/_/g, ''));
+    return text;
+}
+
+/**
+ * Parse the YAML subset config files need: nested mappings, scalars,
+ * quoted strings, `- item` lists and inline [a, b] lists.
+ */
+export function parseYAML(text) {
+    const root = {};
+    const stack = [{ indent: -1, value: root }];
+    const lines = text.split(/\r?\n/);
+
+    for (let n = 0; n < lines.length; n++) {
+        const line = stripComment(lines[n]);
+        if (!line.trim()) continue;
+
+        const indent = line.search(/\S/);
+        const content = line.trim();
+        const isListItem = content === '-' || content.startsWith('- ');
+
+        // Close nested blocks; list items may sit at their key's indentation
+        while (stack.length > 1) {
+            const top = stack[stack.length - 1];
+            const sameLevelList = isListItem && Array.isArray(top.value) && indent === top.indent;
+            if (indent > top.indent || sameLevelList) break;
+            stack.pop();
+        }
+        const parent = stack[stack.length - 1].value;
+
+        if (isListItem) {
+            if (!Array.isArray(parent)) throw new Error(`line ${n + 1}: list item outside a list`);
+            parent.push(parseScalar(content.slice(1).trim()));
+            continue;
+        }
+
+        const match = content.match(/^("[^"]*"|'[^']*'|[^:]+):(?:\s+(.*))?$/);
+        if (!match || Array.isArray(parent)) {
+            throw new Error(`line ${n + 1}: expected "key: value"`);
+        }
+
+        const key = parseScalar(match[1].trim());
+        const rest = match[2]?.trim();
+
+        if (rest) {
+            parent[key] = parseScalar(rest);
+            continue;
+        }
+
+        // Empty value opens a nested block: a list if the next line is "- ..."
+        const nextLine = lines.slice(n + 1).map(stripComment).find(l => l.trim());
+        const child = nextLine?.trim().startsWith('-') ? [] : {};
+        parent[key] = child;
+        stack.push({ indent, value: child });
+    }
+
+    return root;
+}
+
+// ============================================================
+// 🧩 SOURCES
+// ============================================================
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepMerge(base, override) {
+    const result = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        if (value === undefined) continue;
+        result[key] = isPlainObject(value) && isPlainObject(base[key])
+            ? deepMerge(base[key], value)
+            : value;
+    }
+    return result;
+}
+
+export function readConfigFile(filePath) {
+    const text = readFileSync(filePath, 'utf8');
+    try {
+        const ext = extname(filePath).toLowerCase();
+        return ext === '.yaml' || ext === '.yml' ? parseYAML(text) : JSON.parse(text);
+    } catch (error) {
+        throw new ConfigError([`${filePath}: ${error.message}`]);
+    }
+}
+
+/**
+ * Parse CLI flags: --port <n>, --model <name>, --provider <name>,
+ * --config <path>, --mock, --help. Both "--flag value" and "--flag=value" work.
+ */
+export function parseArgs(argv) {
+    const args = {};
+    const problems = [];
+    const takesValue = ['port', 'model', 'provider', 'config'];
+
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--([\w-]+)(?:=(.*))?$/);
+        if (!match) {
+            problems.push(`unexpected argument "${argv[i]}"`);
+            continue;
+        }
+
+        const [, name, inlineValue] = match;
+        if (name === 'mock' || name === 'help') {
+            args[name] = true;
+        } else if (takesValue.includes(name)) {
+            const value = inlineValue ?? argv[++i];
+            if (value === undefined || value.startsWith('--')) {
+                problems.push(`--${name} needs a value`);
+            } else {
+                args[name] = value;
+            }
+        } else {
+            problems.push(`unknown flag --${name}`);
+        }
+    }
+
+    if (problems.length) throw new ConfigError(problems);
+    return args;
+}
+
+// "42" -> 42; anything else stays a string so validation can show it
+function toNumber(value) {
+    if (value === undefined || value === '') return undefined;
+    const number = Number(value);
+    return Number.isNaN(number) ? value : number;
+}
+
+// Each provider's own key variable; ollama needs none
+const PROVIDER_KEY_ENV = {
+    anthropic: 'ANTHROPIC_API_KEY',
+    openai: 'OPENAI_API_KEY',
+};
+
+/**
+ * Fill in the API key for the provider that won after merging every source,
+ * unless one was given explicitly (LLM_API_KEY or llm.apiKey). Picking it
+ * earlier would hand e.g. the Anthropic key to a --provider openai base URL.
+ */
+function withProviderKey(config, env) {
+    if (config.llm.apiKey) return config;
+    const apiKey = env[PROVIDER_KEY_ENV[config.llm.provider]] || null;
+    return { ...config, llm: { ...config.llm, apiKey } };
+}
+
+// Environment variables -> partial config (unset vars are left undefined)
+function fromEnv(env) {
+    const int = name => toNumber(env[name]);
+
+    return {
+        port: int('PORT'),
+        trustProxy: int('TRUST_PROXY'),
+        mock: env.MOCK_LLM === undefined ? undefined : env.MOCK_LLM === '1' || env.MOCK_LLM === 'true',
+        mockScript: env.MOCK_SCRIPT,
+        llm: {
+            provider: env.LLM_PROVIDER,
+            apiKey: env.LLM_API_KEY || undefined,   // Per-provider keys: see withProviderKey
+            model: env.LLM_MODEL,
+            baseUrl: env.LLM_BASE_URL,
+            maxTokens: int('LLM_MAX_TOKENS'),
+            timeoutMs: int('LLM_TIMEOUT_MS'),
+            retries: int('LLM_RETRIES'),
+            retryBaseDelayMs: int('LLM_RETRY_DELAY_MS'),
+            fallbackModels: env.LLM_FALLBACK_MODELS === undefined
+                ? undefined
+                : env.LLM_FALLBACK_MODELS.split(',').map(model => model.trim()).filter(Boolean),
+        },
+        context: {
+            keepTurns: int('CONTEXT_KEEP_TURNS'),
+            maxInputTokens: int('CONTEXT_MAX_TOKENS'),
+            summaryModel: env.SUMMARY_MODEL,
+            summaryMaxTokens: int('SUMMARY_MAX_TOKENS'),
+        },
+        memory: {
+            enabled: env.MEMORY_ENABLED === undefined ? undefined : env.MEMORY_ENABLED === '1' || env.MEMORY_ENABLED === 'true',
+        },
+        personas: {
+            dir: env.PERSONAS_DIR,
+            default: env.DEFAULT_PERSONA,
+        },
+        rateLimit: {
+            perMinute: int('RATE_LIMIT_PER_MINUTE'),
+            perHour: int('RATE_LIMIT_PER_HOUR'),
+            perDay: int('RATE_LIMIT_PER_DAY'),
+            store: env.RATE_LIMIT_STORE,
+            file: env.RATE_LIMIT_FILE,
+        },
+        budget: {
+            dailyGlobalTokens: int('TOKEN_BUDGET_DAILY'),
+            dailyPerIPTokens: int('TOKEN_BUDGET_PER_IP_DAILY'),
+        },
+        cors: {
+            allowedOrigins: env.CORS_ORIGINS === undefined
+                ? undefined
+                : env.CORS_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean),
+        },
+        session: {
+            secret: env.SESSION_SECRET || undefined,
+            ttlSeconds: int('SESSION_TTL'),
+        },
+        tts: {
+            apiKey: env.ELEVENLABS_API_KEY || undefined,
+            voiceId: env.ELEVENLABS_VOICE_ID,
+            model: env.ELEVENLABS_MODEL,
+            cacheDir: env.TTS_CACHE_DIR,
+            maxChars: int('TTS_MAX_CHARS'),
+        },
+        logging: {
+            audit: env.AUDIT_LOG === undefined ? undefined : env.AUDIT_LOG === '1' || env.AUDIT_LOG === 'true',
+            dir: env.LOG_DIR,
+            retentionDays: int('LOG_RETENTION_DAYS'),
+        },
+        statsToken: env.STATS_TOKEN,
+        visitorSecret: env.VISITOR_SECRET || undefined,
+    };
+}
+
+function fromArgs(args) {
+    return {
+        port: toNumber(args.port),
+        mock: args.mock,
+        llm: {
+            provider: args.provider,
+            model: args.model,
+        },
+    };
+}
+
+// ============================================================
+// ✅ VALIDATION
+// ============================================================
+
+// Keys that aren't in DEFAULT_CONFIG (usually typos in the config file)
+function unknownKeys(config, defaults = DEFAULT_CONFIG, prefix = '') {
+    return Object.entries(config).flatMap(([key, value]) => {
+        if (!Object.hasOwn(defaults, key)) return [`${prefix}${key}`];
+        return isPlainObject(defaults[key]) && isPlainObject(value)
+            ? unknownKeys(value, defaults[key], `${prefix}${key}.`)
+            : [];
+    });
+}
+
+// "https://example.com" yes; "example.com" or "https://example.com/path" no
+function isOrigin(value) {
+    try {
+        return typeof value === 'string' && new URL(value).origin === value;
+    } catch (e) {
+        return false;
+    }
+}
+
+export function validateConfig(config) {
+    const problems = unknownKeys(config).map(key => `unknown setting "${key}"`);
+    const isCount = value => Number.isInteger(value) && value >= 0;
+
+    if (!Number.isInteger(config.port) || config.port < 1 || config.port > 65535) {
+        problems.push(`port must be a whole number between 1 and 65535 (got ${JSON.stringify(config.port)})`);
+    }
+    if (!isCount(config.trustProxy)) {
+        problems.push(`trustProxy must be the number of proxies in front of the server, 0 or more (got ${JSON.stringify(config.trustProxy)})`);
+    }
+    if (!['anthropic', 'openai', 'ollama'].includes(config.llm.provider)) {
+        problems.push(`llm.provider must be anthropic, openai or ollama (got ${JSON.stringify(config.llm.provider)})`);
+    }
+    if (!Number.isInteger(config.llm.maxTokens) || config.llm.maxTokens < 1) {
+        problems.push(`llm.maxTokens must be a positive whole number (got ${JSON.stringify(config.llm.maxTokens)})`);
+    }
+    if (!Number.isInteger(config.llm.timeoutMs) || config.llm.timeoutMs < 1000) {
+        problems.push(`llm.timeoutMs must be a whole number >= 1000 (got ${JSON.stringify(config.llm.timeoutMs)})`);
+    }
+    for (const key of ['retries', 'retryBaseDelayMs']) {
+        if (!isCount(config.llm[key])) {
+            problems.push(`llm.${key} must be a whole number >= 0 (got ${JSON.stringify(config.llm[key])})`);
+        }
+    }
+    if (!Array.isArray(config.llm.fallbackModels) || !config.llm.fallbackModels.every(model => typeof model === 'string' && model)) {
+        problems.push(`llm.fallbackModels must be a list of model names (got ${JSON.stringify(config.llm.fallbackModels)})`);
+    }
+    if (!Number.isInteger(config.context.keepTurns) || config.context.keepTurns < 1) {
+        problems.push(`context.keepTurns must be a positive whole number (got ${JSON.stringify(config.context.keepTurns)})`);
+    }
+    if (!Number.isInteger(config.context.maxInputTokens) || config.context.maxInputTokens < 2000) {
+        problems.push(`context.maxInputTokens must be a whole number >= 2000 (got ${JSON.stringify(config.context.maxInputTokens)})`);
+    }
+    if (config.context.summaryModel !== null && (typeof config.context.summaryModel !== 'string' || !config.context.summaryModel)) {
+        problems.push(`context.summaryModel must be a model name (got ${JSON.stringify(config.context.summaryModel)})`);
+    }
+    if (!Number.isInteger(config.context.summaryMaxTokens) || config.context.summaryMaxTokens < 1) {
+        problems.push(`context.summaryMaxTokens must be a positive whole number (got ${JSON.stringify(config.context.summaryMaxTokens)})`);
+    }
+    if (typeof config.memory.enabled !== 'boolean') {
+        problems.push(`memory.enabled must be true or false (got ${JSON.stringify(config.memory.enabled)})`);
+    }
+    if (typeof config.personas.dir !== 'string' || !config.personas.dir) {
+        problems.push(`personas.dir must be a folder path (got ${JSON.stringify(config.personas.dir)})`);
+    } else if (!existsSync(config.personas.dir)) {
+        problems.push(`personas.dir folder not found: ${config.personas.dir}`);
+    }
+    if (typeof config.personas.default !== 'string' || !/^[\w-]+$/.test(config.personas.default)) {
+        problems.push(`personas.default must be a persona id (got ${JSON.stringify(config.personas.default)})`);
+    }
+    for (const key of ['perMinute', 'perHour', 'perDay']) {
+        if (!isCount(config.rateLimit[key])) {
+            problems.push(`rateLimit.${key} must be a whole number >= 0 (got ${JSON.stringify(config.rateLimit[key])})`);
+        }
+    }
+    if (!['memory', 'file'].includes(config.rateLimit.store)) {
+        problems.push(`rateLimit.store must be memory or file (got ${JSON.stringify(config.rateLimit.store)})`);
+    }
+    for (const key of ['dailyGlobalTokens', 'dailyPerIPTokens']) {
+        if (!isCount(config.budget[key])) {
+            problems.push(`budget.${key} must be a whole number >= 0 (got ${JSON.stringify(config.budget[key])})`);
+        }
+    }
+    const origins = config.cors.allowedOrigins;
+    if (!Array.isArray(origins)) {
+        problems.push(`cors.allowedOrigins must be a list (got ${JSON.stringify(origins)})`);
+    } else {
+        for (const origin of origins) {
+            if (origin !== '*' && !isOrigin(origin)) {
+                problems.push(`cors.allowedOrigins: "${origin}" is not an origin like https://example.com`);
+            }
+        }
+    }
+    if (config.session.secret !== null && (typeof config.session.secret !== 'string' || config.session.secret.length < 16)) {
+        problems.push('session.secret must be a string of at least 16 characters');
+    }
+    if (config.visitorSecret !== null && (typeof config.visitorSecret !== 'string' || config.visitorSecret.length < 16)) {
+        problems.push('visitorSecret must be a string of at least 16 characters');
+    }
+    if (!Number.isInteger(config.session.ttlSeconds) || config.session.ttlSeconds < 60) {
+        problems.push(`session.ttlSeconds must be a whole number >= 60 (got ${JSON.stringify(config.session.ttlSeconds)})`);
+    }
+    if (typeof config.tts.voiceId !== 'string' || !config.tts.voiceId) {
+        problems.push(`tts.voiceId must be an ElevenLabs voice id (got ${JSON.stringify(config.tts.voiceId)})`);
+    }
+    if (!Number.isInteger(config.tts.maxChars) || config.tts.maxChars < 1) {
+        problems.push(`tts.maxChars must be a positive whole number (got ${JSON.stringify(config.tts.maxChars)})`);
+    }
+    if (typeof config.logging.audit !== 'boolean') {
+        problems.push(`logging.audit must be true or false (got ${JSON.stringify(config.logging.audit)})`);
+    }
+    if (!isCount(config.logging.retentionDays)) {
+        problems.push(`logging.retentionDays must be a whole number >= 0 (got ${JSON.stringify(config.logging.retentionDays)})`);
+    }
+    if (config.mockScript && !existsSync(config.mockScript)) {
+        problems.push(`mockScript file not found: ${config.mockScript}`);
+    }
+
+    if (problems.length) throw new ConfigError(problems);
+    return config;
+}
+
+// ============================================================
+// 🚀 LOAD
+// ============================================================
+
+/**
+ * Build the effective configuration.
+ *
+ * @param {object} [options]
+ * @param {string[]} [options.argv] - CLI arguments (without node and script)
+ * @param {object} [options.env] - Environment variables
+ * @param {string} [options.cwd] - Where to look for a default config file
+ * @returns {object} Validated config; `configFile` holds the file used, if any
+ * @throws {ConfigError} With every problem found
+ */
+export function loadConfig({ argv = [], env = process.env, cwd = process.cwd() } = {}) {
+    const args = parseArgs(argv);
+
+    let configFile = args.config || env.SOLWAIFU_CONFIG || null;
+    if (configFile) {
+        configFile = resolve(cwd, configFile);
+        if (!existsSync(configFile)) {
+            throw new ConfigError([`config file not found: ${configFile}`]);
+        }
+    } else {
+        configFile = DEFAULT_CONFIG_FILES.map(name => resolve(cwd, name)).find(existsSync) || null;
+    }
+
+    let config = DEFAULT_CONFIG;
+    if (configFile) config = deepMerge(config, readConfigFile(configFile));
+    config = deepMerge(config, fromEnv(env));
+    config = deepMerge(config, fromArgs(args));
+    config = withProviderKey(config, env);
+
+    return { ...validateConfig(config), configFile, help: !!args.help };
+}
+
+// Copy of config that is safe to print
+export function redactConfig(config) {
+    const copy = structuredClone(config);
+    for (const path of SECRET_PATHS) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const target = keys.reduce((object, key) => object?.[key], copy);
+        if (target && target[last]) target[last] = '<redacted>';
+    }
+    return copy;
+}
+
+export const CLI_HELP = `Usage: node server.js [options]
+
+  --port <n>          Port to listen on (default 3000, env PORT)
+  --model <name>      LLM model (env LLM_MODEL)
+  --provider <name>   anthropic | openai | ollama (env LLM_PROVIDER)
+  --config <path>     JSON or YAML config file (env SOLWAIFU_CONFIG)
+  --mock              Canned replies, no API key or network (env MOCK_LLM=1)
+  --help              Show this help
+`;
@@ -0,0 +1,124 @@
+/**
+ * Context Window - rolling summary of older turns and a per-request token budget
+ *
+ * The browser keeps the whole chat but only sends the turns that aren't
+ * summarized yet, plus the running `summary`. Once more than 2 × keepTurns
+ * turns are pending, or the request would go over maxInputTokens,
+ * everything except the last keepTurns turns is folded into the summary
+ * by one cheap model call. The reply's `context` tells the browser the new
+ * summary and how many of the sent messages it now covers.
+ *
+ * The summary is client-supplied text, so it rides along in the first user
+ * message rather than the (server-owned) system prompt.
+ */
+
+import { CHAT_LIMITS } from './validation.js';
+import { messageText } from './providers/http.js';
+import { logger } from './logging.js';
+
+export const SUMMARY_PROMPT = `Summarize the chat below between a user and Sol for Sol's own memory.
+Keep names, facts the user shared about themselves, running jokes, promises and the current topic.
+Write plain notes in the third person, under 120 words, no preamble.`;
+
+// Rough token estimate (~4 characters per token), good enough for budgeting
+export function estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+}
+
+function messagesTokens(messages) {
+    return messages.reduce((total, message) => total + estimateTokens(messageText(message.content)), 0);
+}
+
+// Summary so far + the turns being folded in, as one plain-text transcript
+function transcript(summary, messages) {
+    const lines = messages.map(message => `${message.role === 'user' ? 'user' : 'Sol'}: ${messageText(message.content)}`);
+    return summary
+        ? `Summary so far:\n${summary}\n\nNew messages:\n${lines.join('\n')}`
+        : lines.join('\n');
+}
+
+// First message with the summary in front of its own content
+function withSummary(messages, summary) {
+    if (!summary) return messages;
+
+    const [first, ...rest] = messages;
+    const content = typeof first.content === 'string' ? [{ type: 'text', text: first.content }] : first.content;
+    return [
+        { ...first, content: [{ type: 'text', text: `[earlier in this chat: ${summary}]\n\n` }, ...content] },
+        ...rest,
+    ];
+}
+
+export class ContextManager {
+    /**
+     * @param {object} options
+     * @param {object} options.summarizer - Provider used for summary calls (see lib/providers/)
+     * @param {number} [options.keepTurns] - Most recent turns always sent verbatim
+     * @param {number} [options.maxInputTokens] - Estimated input budget per request (system + notes + summary + messages)
+     */
+    constructor({ summarizer, keepTurns = 6, maxInputTokens = 8000 }) {
+        this.summarizer = summarizer;
+        this.keepTurns = keepTurns;
+        this.maxInputTokens = maxInputTokens;
+    }
+
+    /**
+     * Index of the first message to keep verbatim (0 = nothing to fold).
+     * Always a user message, so the kept turns still start with the user.
+     */
+    splitPoint(system, messages, summary, reservedTokens = 0) {
+        const turnStarts = messages.flatMap((message, i) => (message.role === 'user' ? [i] : []));
+        const fits = (split, summaryTokens) =>
+            estimateTokens(system) + reservedTokens + summaryTokens + messagesTokens(messages.slice(split)) <= this.maxInputTokens;
+
+        if (turnStarts.length <= this.keepTurns * 2 && fits(0, estimateTokens(summary))) return 0;
+
+        // Leave room for the longest summary the fold can produce
+        const maxSummaryTokens = Math.ceil(CHAT_LIMITS.MAX_SUMMARY_CHARS / 4);
+        let turn = Math.max(0, turnStarts.length - this.keepTurns);
+        while (turn < turnStarts.length - 1 && !fits(turnStarts[turn], maxSummaryTokens)) {
+            turn++;
+        }
+        return turnStarts[turn];
+    }
+
+    /**
+     * Fit one request into the context window.
+     *
+     * @param {object} request
+     * @param {string} request.system - Persona system prompt
+     * @param {object[]} request.messages - Validated, unsummarized messages
+     * @param {string} [request.summary] - Running summary from the browser
+     * @param {number} [request.reservedTokens] - Room for notes added afterwards (memories)
+     * @param {AbortSignal} [request.signal]
+     * @returns {Promise<{messages: object[], summary: string, summarizedCount: number, usage: object|null}>}
+     *   `messages` are ready to send upstream; `usage` is the summary call's, if one was made
+     */
+    async prepare({ system, messages, summary = '', reservedTokens = 0, signal }) {
+        const split = this.splitPoint(system, messages, summary, reservedTokens);
+        if (split === 0) {
+            return { messages: withSummary(messages, summary), summary, summarizedCount: 0, usage: null };
+        }
+
+        const older = messages.slice(0, split);
+        const recent = messages.slice(split);
+        let newSummary = summary;
+        let usage = null;
+
+        try {
+            const reply = await this.summarizer.complete({
+                system: SUMMARY_PROMPT,
+                messages: [{ role: 'user', content: transcript(summary, older) }],
+                signal,
+            });
+            newSummary = messageText(reply.content).trim().slice(0, CHAT_LIMITS.MAX_SUMMARY_CHARS) || summary;
+            usage = reply.usage || null;
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            // Still drop the old turns: staying under budget matters more than remembering them
+            logger.warn('context_summary_failed', { folded_messages: older.length, error: error.message });
+        }
+
+        return { messages: withSummary(recent, newSummary), summary: newSummary, summarizedCount: split, usage };
+    }
+}
@@ -0,0 +1,16 @@
+/**
+ * Proxy Errors
+ */
+
+/**
+ * Error carrying the HTTP status it should be reported with, and an
+ * optional machine-readable `code` for the client (e.g. upstream_overloaded)
+ */
+export class ProxyError extends Error {
+    constructor(status, message, code) {
+        super(message);
+        this.name = 'ProxyError';
+        this.status = status;
+        if (code) this.code = code;
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * Logging - structured request logs and the conversation audit trail
+ *
+ * Request logs are one JSON object per line on stdout/stderr, so any log
+ * shipper can pick them up. The audit log is opt-in: each exchange (last
+ * user message + Sol's reply) is appended to a daily file for moderation
+ * review, and files older than the retention period are deleted.
+ */
+
+import { appendFile, mkdir, readdir, unlink } from 'fs/promises';
+import { randomBytes } from 'crypto';
+import { join } from 'path';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function write(level, msg, fields) {
+    const line = JSON.stringify({ time: new Date().toISOString(), level, msg, ...fields });
+    if (level === 'error' || level === 'warn') {
+        console.error(line);
+    } else {
+        console.log(line);
+    }
+}
+
+export const logger = {
+    info: (msg, fields = {}) => write('info', msg, fields),
+    warn: (msg, fields = {}) => write('warn', msg, fields),
+    error: (msg, fields = {}) => write('error', msg, fields),
+};
+
+export function createRequestId() {
+    return randomBytes(8).toString('hex');
+}
+
+/**
+ * Append-only JSON Lines files, one per UTC day: audit-YYYY-MM-DD.jsonl.
+ * Old files are pruned at startup and on the first write of each new day.
+ */
+export class AuditLog {
+    constructor(dir, { retentionDays = 30 } = {}) {
+        this.dir = dir;
+        this.retentionDays = retentionDays;
+        this.day = null;
+        // Writes chain onto this, which keeps lines in order; the first link is the startup prune
+        this.queue = this.prune().catch(error => {
+            if (error.code !== 'ENOENT') logger.warn('audit_log_prune_failed', { dir: this.dir, error: error.message });
+        });
+    }
+
+    pathFor(day) {
+        return join(this.dir, `audit-${day}.jsonl`);
+    }
+
+    write(entry) {
+        const day = new Date().toISOString().slice(0, 10);
+        const line = JSON.stringify({ time: new Date().toISOString(), ...entry }) + '\n';
+
+        this.queue = this.queue.then(async () => {
+            if (day !== this.day) {
+                this.day = day;
+                await mkdir(this.dir, { recursive: true });
+                await this.prune();
+            }
+            await appendFile(this.pathFor(day), line);
+        }).catch(error => {
+            logger.warn('audit_log_write_failed', { dir: this.dir, error: error.message });
+        });
+
+        return this.queue;
+    }
+
+    // Delete audit files older than retentionDays (0 = keep forever)
+    async prune() {
+        if (!(this.retentionDays > 0)) return;
+
+        const cutoff = new Date(Date.now() - this.retentionDays * DAY_MS).toISOString().slice(0, 10);
+        for (const name of await readdir(this.dir)) {
+            const day = name.match(/^audit-(\d{4}-\d{2}-\d{2})\.jsonl$/)?.[1];
+            if (day && day < cutoff) {
+                await unlink(join(this.dir, name)).catch(() => {});
+            }
+        }
+    }
+}
@@ -0,0 +1,134 @@
+/**
+ * Metrics - Prometheus text exposition, no dependencies
+ *
+ * Counters and histograms keep one series per label combination. Values
+ * are per process (per function instance on Netlify).
+ */
+
+// Seconds; chat replies stream for a while, so the buckets go up to a minute
+export const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+class Metric {
+    constructor(name, help, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    // Same label values -> same series, whatever order they were passed in
+    seriesFor(labels, create) {
+        const picked = Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+        const key = JSON.stringify(picked);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: picked, ...create() });
+        }
+        return this.series.get(key);
+    }
+}
+
+export class Counter extends Metric {
+    inc(labels = {}, value = 1) {
+        this.seriesFor(labels, () => ({ value: 0 })).value += value;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+        for (const { labels, value } of this.series.values()) {
+            lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+export class Gauge extends Metric {
+    set(labels = {}, value) {
+        this.seriesFor(labels, () => ({ value: 0 })).value = value;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} gauge`];
+        for (const { labels, value } of this.series.values()) {
+            lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+export class Histogram extends Metric {
+    constructor(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+        super(name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels = {}, value) {
+        const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+        for (const { labels, counts, sum, count } of this.series.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+export class MetricsRegistry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    // Prometheus text format (version 0.0.4)
+    render() {
+        return this.metrics.map(metric => metric.render()).join('\n\n') + '\n';
+    }
+}
+
+/**
+ * The proxy's metrics:
+ *   solwaifu_http_requests_total{route,status}
+ *   solwaifu_http_request_duration_seconds{route}
+ *   solwaifu_rate_limited_total{route,reason}      429s (rate_limited / budget_exhausted)
+ *   solwaifu_upstream_errors_total{upstream,status} failed LLM / TTS calls
+ *   solwaifu_upstream_retries_total{upstream}      retried or fallen-back LLM calls
+ *   solwaifu_tokens_total{type}                    input / output tokens used by chat
+ */
+export function createProxyMetrics(registry = new MetricsRegistry()) {
+    const startTime = registry.register(new Gauge('solwaifu_process_start_time_seconds', 'Start time of the process since unix epoch in seconds.'));
+    startTime.set({}, Math.floor(Date.now() / 1000));
+
+    return {
+        registry,
+        requests: registry.register(new Counter('solwaifu_http_requests_total', 'API requests by route and response status.', ['route', 'status'])),
+        duration: registry.register(new Histogram('solwaifu_http_request_duration_seconds', 'API request latency in seconds, until the last byte of a stream.', ['route'])),
+        rateLimited: registry.register(new Counter('solwaifu_rate_limited_total', 'Requests refused with 429.', ['route', 'reason'])),
+        upstreamErrors: registry.register(new Counter('solwaifu_upstream_errors_total', 'Failed calls to the LLM or TTS upstream.', ['upstream', 'status'])),
+        upstreamRetries: registry.register(new Counter('solwaifu_upstream_retries_total', 'LLM calls retried or moved to a fallback model.', ['upstream'])),
+        tokens: registry.register(new Counter('solwaifu_tokens_total', 'Tokens used by chat replies.', ['type'])),
+    };
+}
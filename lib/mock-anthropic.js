@@ -0,0 +1,214 @@
+/**
+ * Mock Anthropic API - offline development and automated tests
+ *
+ * createMockFetch() returns a drop-in `fetch` that speaks Anthropic's
+ * Messages API wire format (JSON and SSE streaming, usage fields, error
+ * bodies), so the whole proxy and UI can run with no key and no network.
+ *
+ * Replies rotate through MOCK_REPLIES unless a script is given. Tests can
+ * force behaviour by putting a directive in the last user message:
+ *   [mock:429]  [mock:500]  [mock:529]  [mock:401]   upstream error status
+ *   [mock:slow]                                      5s before the reply starts
+ *   [mock:stream-error]                              error event mid-stream
+ *
+ * Summary calls (lib/context.js) and memory extraction (lib/memory.js) get
+ * answers stitched from the user's own words instead, and don't consume a
+ * reply or script step.
+ */
+
+import { readFileSync } from 'fs';
+import { SUMMARY_PROMPT } from './context.js';
+import { MEMORY_PROMPT } from './memory.js';
+
+// Most open with a reaction tag (lib/reactions.js); the rest exercise the page's keyword fallback
+export const MOCK_REPLIES = [
+    "[[emotion:excited intensity:0.6 gesture:none love:+1]] hiii 👀 okay wait... you're kinda fun to talk to ngl",
+    "[[emotion:flirty intensity:0.7 gesture:wink love:+3]] lol you think you're so smooth huh... i mean... unless? 🫣",
+    "okay but hear me out... we skip the small talk and you tell me ur most unhinged opinion rn",
+    "[[emotion:annoyed intensity:0.3 gesture:pout love:+1]] babe. the site has all that 👀 now tell me something actually interesting about you",
+    "[[emotion:shy intensity:0.8 gesture:giggle love:+4]] wait no that's actually so cute 😭",
+    "you're so annoying... i like it ✨",
+    "[[emotion:confused intensity:0.5 gesture:gasp love:+1]] hmm... interesting. go on, i'm listening 👀",
+    "[[emotion:laugh intensity:0.9 gesture:giggle love:+2]] omg stop 💀 you're lucky you're cute",
+];
+
+const ERROR_TYPES = {
+    400: 'invalid_request_error',
+    401: 'authentication_error',
+    429: 'rate_limit_error',
+    500: 'api_error',
+    529: 'overloaded_error',
+};
+
+const ERROR_MESSAGES = {
+    401: 'invalid x-api-key',
+    429: 'Number of request tokens has exceeded your per-minute rate limit',
+    500: 'Internal server error',
+    529: 'Overloaded',
+};
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new DOMException('The operation was aborted.', 'AbortError'));
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new DOMException('The operation was aborted.', 'AbortError'));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Rough token estimate (~4 characters per token)
+function estimateTokens(text) {
+    return Math.max(1, Math.ceil(text.length / 4));
+}
+
+function messageText(message) {
+    if (typeof message?.content === 'string') return message.content;
+    return (message?.content || []).map(block => block.text || '').join('');
+}
+
+// "user: ..." lines from a summary transcript, shortened
+function mockSummary(transcript) {
+    const said = transcript.split('\n')
+        .filter(line => line.startsWith('user: '))
+        .map(line => line.slice(6, 60));
+    return `they talked about: ${said.join('; ')}`;
+}
+
+// Clauses like "my name is ana" or "i love cats", as a JSON array
+function mockMemories(text) {
+    const facts = text.split(/[.!?,;\n]+/)
+        .map(clause => clause.trim().toLowerCase())
+        .filter(clause => /\b(my name is|call me|i like|i love|i hate|i have|i work|i live|i'm from)\b/.test(clause));
+    return JSON.stringify(facts);
+}
+
+function errorResponse(status) {
+    return new Response(JSON.stringify({
+        type: 'error',
+        error: { type: ERROR_TYPES[status] || 'api_error', message: ERROR_MESSAGES[status] || `Mock error ${status}` },
+    }), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * Load a script file: a JSON array of steps, used in order and then repeated.
+ * Step fields: text, status, delay, chunkDelay, usage, streamError
+ */
+export function loadMockScript(filePath) {
+    const steps = JSON.parse(readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(steps) || steps.length === 0) {
+        throw new Error(`Mock script ${filePath} must be a non-empty JSON array`);
+    }
+    return steps;
+}
+
+/**
+ * @param {object} [options]
+ * @param {object[]} [options.script] - Steps to play instead of MOCK_REPLIES
+ * @param {number} [options.latency] - ms before the reply starts
+ * @param {number} [options.chunkDelay] - ms between streamed words
+ */
+export function createMockFetch({ script = null, latency = 300, chunkDelay = 40 } = {}) {
+    let turn = 0;
+
+    return async function mockFetch(url, init = {}) {
+        const request = JSON.parse(init.body || '{}');
+        const messages = request.messages || [];
+        const lastUserText = messageText(messages[messages.length - 1]);
+
+        // Summary and memory calls are answered from the user's own words
+        const helpers = { [SUMMARY_PROMPT]: mockSummary, [MEMORY_PROMPT]: mockMemories };
+        const isHelper = Object.hasOwn(helpers, request.system || '');
+
+        let step;
+        if (isHelper) {
+            step = { text: helpers[request.system](lastUserText), delay: 50 };
+        } else {
+            step = script
+                ? { ...script[turn % script.length] }
+                : { text: MOCK_REPLIES[turn % MOCK_REPLIES.length] };
+            turn++;
+        }
+
+        // Directives in the user's message override the step
+        const directive = isHelper ? null : lastUserText.match(/\[mock:([\w-]+)\]/)?.[1];
+        if (directive === 'slow') step.delay = 5000;
+        else if (directive === 'stream-error') step.streamError = 'Overloaded';
+        else if (/^\d{3}$/.test(directive || '')) step.status = parseInt(directive, 10);
+
+        await sleep(step.delay ?? latency, init.signal);
+
+        if (step.status >= 400) {
+            return errorResponse(step.status);
+        }
+
+        const text = step.text ?? MOCK_REPLIES[0];
+        const inputText = (request.system || '') + messages.map(messageText).join('');
+        const usage = step.usage || {
+            input_tokens: estimateTokens(inputText),
+            output_tokens: estimateTokens(text),
+        };
+        const id = `msg_mock_${Date.now().toString(36)}${turn}`;
+        const model = request.model || 'mock';
+
+        if (!request.stream) {
+            return new Response(JSON.stringify({
+                id,
+                type: 'message',
+                role: 'assistant',
+                model,
+                content: [{ type: 'text', text }],
+                stop_reason: 'end_turn',
+                stop_sequence: null,
+                usage,
+            }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+        }
+
+        const encoder = new TextEncoder();
+        const delay = step.chunkDelay ?? chunkDelay;
+        const signal = init.signal;
+
+        const body = new ReadableStream({
+            async start(controller) {
+                const send = (event, data) => {
+                    controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify({ type: event, ...data })}\n\n`));
+                };
+
+                try {
+                    send('message_start', {
+                        message: { id, type: 'message', role: 'assistant', model, content: [], usage: { input_tokens: usage.input_tokens, output_tokens: 1 } },
+                    });
+                    send('content_block_start', { index: 0, content_block: { type: 'text', text: '' } });
+
+                    const words = text.match(/\S+\s*/g) || [];
+                    for (let i = 0; i < words.length; i++) {
+                        if (step.streamError && i === Math.floor(words.length / 2)) {
+                            send('error', { error: { type: 'overloaded_error', message: step.streamError } });
+                            controller.close();
+                            return;
+                        }
+                        await sleep(delay, signal);
+                        send('content_block_delta', { index: 0, delta: { type: 'text_delta', text: words[i] } });
+                    }
+
+                    send('content_block_stop', { index: 0 });
+                    send('message_delta', { delta: { stop_reason: 'end_turn', stop_sequence: null }, usage: { output_tokens: usage.output_tokens } });
+                    send('message_stop', {});
+                    controller.close();
+                } catch (error) {
+                    controller.error(error);
+                }
+            },
+        });
+
+        return new Response(body, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+    };
+}
@@ -0,0 +1,322 @@
+/**
+ * Persona Packs - server-side only
+ *
+ * Each persona is a folder under personas/ (config personas.dir), named
+ * after its id:
+ *   personas/sol/persona.json   name, welcome lines, love ladder (+ level-up lines), keyword rules, voice, model,
+ *                               what achievements unlock
+ *   personas/sol/prompt.md      system prompt (persona.json's systemPromptFile)
+ *   personas/sol/assets/        optional models, animations, images - the only part
+ *                               of a pack served to the browser (/personas/sol/assets/...)
+ *
+ * The browser only ever sends a persona id. /api/personas hands out the
+ * rest of each pack, but system prompts (and ElevenLabs voice ids) never
+ * leave the server, so /api/chat can't be used as a general-purpose
+ * Claude proxy.
+ */
+
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { join, resolve } from 'path';
+import { EMOTIONS, GESTURES } from './reactions.js';
+
+export const DEFAULT_PERSONA_ID = 'sol';
+
+const PACK_FILE = 'persona.json';
+const PERSONA_ID = /^[\w-]+$/;
+
+// Matches VOICE_PROVIDERS in js/voice.js
+const VOICE_PROVIDERS = ['auto', 'elevenlabs', 'puter', 'browser'];
+
+// Matches ACHIEVEMENTS in js/achievements.js; "love-<n>" are the pack's own levels
+const ACHIEVEMENT_IDS = ['first-chat', 'regular', 'streak-3', 'streak-7', 'voice', 'night-owl', 'keepsake'];
+const LEVEL_ACHIEVEMENT = /^love-(\d+)$/;
+
+// What an `unlocks` entry can give, one each
+const UNLOCK_KINDS = ['welcome', 'gesture', 'outfit', 'idle'];
+
+// Site paths like "models/sol.vrm": relative, no "..", no URLs
+const ASSET_PATH = /^(?!.*\.\.)[\w][\w ./-]*$/;
+
+/**
+ * Every problem found in the persona packs
+ */
+export class PersonaPackError extends Error {
+    constructor(problems) {
+        super(`Invalid persona packs:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'PersonaPackError';
+        this.problems = problems;
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isStringList(value) {
+    return Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' && item);
+}
+
+// { any?, all?, none? } keyword lists, at least one of any/all
+function keywordRuleProblems(rule, where) {
+    if (!isPlainObject(rule)) return [`${where} must be an object`];
+    const problems = [];
+    for (const key of ['any', 'all', 'none']) {
+        if (rule[key] !== undefined && !isStringList(rule[key])) {
+            problems.push(`${where}.${key} must be a non-empty list of words`);
+        }
+    }
+    if (rule.any === undefined && rule.all === undefined) {
+        problems.push(`${where} needs an "any" or "all" word list`);
+    }
+    return problems;
+}
+
+// One `unlocks` entry: { achievement, <one of UNLOCK_KINDS> }
+function unlockProblems(unlock, where, levelCount, names) {
+    if (!isPlainObject(unlock)) return [`${where} must be an object`];
+
+    const problems = [];
+    const level = typeof unlock.achievement === 'string' && unlock.achievement.match(LEVEL_ACHIEVEMENT);
+    if (!ACHIEVEMENT_IDS.includes(unlock.achievement) && !(level && Number(level[1]) >= 2 && Number(level[1]) <= levelCount)) {
+        problems.push(`${where}.achievement must be one of ${ACHIEVEMENT_IDS.join(', ')} or love-2 to love-${levelCount}`);
+    }
+
+    const kinds = UNLOCK_KINDS.filter(kind => unlock[kind] !== undefined);
+    if (kinds.length !== 1) {
+        problems.push(`${where} needs exactly one of ${UNLOCK_KINDS.join(', ')}`);
+        return problems;
+    }
+
+    const [kind] = kinds;
+    const value = unlock[kind];
+    if (kind === 'welcome' && !isStringList(value)) {
+        problems.push(`${where}.welcome must be a non-empty list of lines`);
+    } else if (kind === 'gesture' && (value === 'none' || !GESTURES.includes(value))) {
+        problems.push(`${where}.gesture must be one of ${GESTURES.filter(gesture => gesture !== 'none').join(', ')}`);
+    } else if (kind === 'outfit' || kind === 'idle') {
+        const pathKey = kind === 'outfit' ? 'model' : 'animation';
+        if (!isPlainObject(value) || typeof value.name !== 'string' || !value.name ||
+            typeof value[pathKey] !== 'string' || !ASSET_PATH.test(value[pathKey])) {
+            problems.push(`${where}.${kind} must be { name, ${pathKey} } with a site path`);
+        } else if (names.has(`${kind}:${value.name}`)) {
+            problems.push(`${where}: there's already an ${kind} called "${value.name}"`);
+        } else {
+            names.add(`${kind}:${value.name}`);
+        }
+    }
+    return problems;
+}
+
+/**
+ * Check a parsed persona.json (id comes from the folder name)
+ * @returns {string[]} Problems, empty when the pack is usable
+ */
+export function validatePersonaPack(pack, id) {
+    const at = `personas/${id}/${PACK_FILE}`;
+    if (!isPlainObject(pack)) return [`${at} must be a JSON object`];
+
+    const problems = [];
+    if (!PERSONA_ID.test(id)) {
+        problems.push(`personas/${id}: folder names are persona ids (letters, numbers, - and _)`);
+    }
+    if (typeof pack.name !== 'string' || !pack.name) {
+        problems.push(`${at}: name must be a non-empty string`);
+    }
+    if (typeof pack.systemPromptFile !== 'string' || !ASSET_PATH.test(pack.systemPromptFile)) {
+        problems.push(`${at}: systemPromptFile must name a file in the pack folder`);
+    } else if (/^(\.\/)?assets\//.test(pack.systemPromptFile)) {
+        problems.push(`${at}: systemPromptFile can't be in assets/ (that folder is public)`);
+    }
+    if (!isStringList(pack.welcome)) {
+        problems.push(`${at}: welcome must be a non-empty list of lines`);
+    }
+    if (pack.welcomeReaction !== undefined && !EMOTIONS.includes(pack.welcomeReaction)) {
+        problems.push(`${at}: welcomeReaction must be one of ${EMOTIONS.join(', ')}`);
+    }
+
+    if (!Array.isArray(pack.loveLevels) || pack.loveLevels.length === 0) {
+        problems.push(`${at}: loveLevels must be a non-empty list`);
+    } else {
+        pack.loveLevels.forEach((level, i) => {
+            if (!isPlainObject(level) || !Number.isInteger(level.min) || typeof level.name !== 'string' || !level.name || typeof level.icon !== 'string') {
+                problems.push(`${at}: loveLevels[${i}] must be { min, name, icon }`);
+            } else if (i === 0 ? level.min !== 0 : level.min <= pack.loveLevels[i - 1].min) {
+                problems.push(`${at}: loveLevels must start at min 0 and go up`);
+            }
+
+            // What she says and does when the meter first reaches this level
+            const milestone = level?.milestone;
+            if (milestone !== undefined && (!isPlainObject(milestone) || typeof milestone.line !== 'string' || !milestone.line ||
+                (milestone.reaction !== undefined && !EMOTIONS.includes(milestone.reaction)) ||
+                (milestone.gesture !== undefined && !GESTURES.includes(milestone.gesture)))) {
+                problems.push(`${at}: loveLevels[${i}].milestone must be { line, reaction?, gesture? } with a known emotion and gesture`);
+            }
+        });
+    }
+
+    if (!isPlainObject(pack.love) || !Number.isInteger(pack.love.base) || !Array.isArray(pack.love.rules)) {
+        problems.push(`${at}: love must be { base, rules: [...] }`);
+    } else {
+        pack.love.rules.forEach((rule, i) => {
+            problems.push(...keywordRuleProblems(rule, `${at}: love.rules[${i}]`));
+            if (!Number.isInteger(rule?.points)) {
+                problems.push(`${at}: love.rules[${i}].points must be a whole number`);
+            }
+        });
+    }
+
+    if (!isPlainObject(pack.reactions) || !Array.isArray(pack.reactions.rules)) {
+        problems.push(`${at}: reactions must be { rules: [...], random? }`);
+    } else {
+        pack.reactions.rules.forEach((rule, i) => {
+            problems.push(...keywordRuleProblems(rule, `${at}: reactions.rules[${i}]`));
+            if (!EMOTIONS.includes(rule?.reaction)) {
+                problems.push(`${at}: reactions.rules[${i}].reaction must be one of ${EMOTIONS.join(', ')}`);
+            }
+        });
+        const random = pack.reactions.random;
+        if (random !== undefined && (!isPlainObject(random) || !EMOTIONS.includes(random.reaction) ||
+            typeof random.chance !== 'number' || random.chance < 0 || random.chance > 1)) {
+            problems.push(`${at}: reactions.random must be { reaction, chance (0-1) }`);
+        }
+    }
+
+    const voice = pack.voice ?? {};
+    if (!isPlainObject(voice)) {
+        problems.push(`${at}: voice must be an object`);
+    } else {
+        if (voice.provider !== undefined && !VOICE_PROVIDERS.includes(voice.provider)) {
+            problems.push(`${at}: voice.provider must be one of ${VOICE_PROVIDERS.join(', ')}`);
+        }
+        for (const key of ['puterVoice', 'elevenLabsVoiceId']) {
+            if (voice[key] !== undefined && (typeof voice[key] !== 'string' || !voice[key])) {
+                problems.push(`${at}: voice.${key} must be a non-empty string`);
+            }
+        }
+        if (voice.browserVoices !== undefined && !isStringList(voice.browserVoices)) {
+            problems.push(`${at}: voice.browserVoices must be a non-empty list of voice names`);
+        }
+        for (const key of ['rate', 'pitch']) {
+            if (voice[key] !== undefined && (typeof voice[key] !== 'number' || voice[key] <= 0 || voice[key] > 2)) {
+                problems.push(`${at}: voice.${key} must be a number between 0 and 2`);
+            }
+        }
+    }
+
+    if (pack.model !== undefined && (typeof pack.model !== 'string' || !ASSET_PATH.test(pack.model))) {
+        problems.push(`${at}: model must be a site path like models/sol.vrm`);
+    }
+    if (pack.animations !== undefined) {
+        if (!isPlainObject(pack.animations)) {
+            problems.push(`${at}: animations must map names to site paths`);
+        } else {
+            for (const [name, path] of Object.entries(pack.animations)) {
+                if (typeof path !== 'string' || !ASSET_PATH.test(path)) {
+                    problems.push(`${at}: animations.${name} must be a site path like animations/idle.vrma`);
+                }
+            }
+        }
+    }
+
+    if (pack.unlocks !== undefined) {
+        if (!Array.isArray(pack.unlocks)) {
+            problems.push(`${at}: unlocks must be a list`);
+        } else {
+            const levelCount = Array.isArray(pack.loveLevels) ? pack.loveLevels.length : 0;
+            const names = new Set();
+            pack.unlocks.forEach((unlock, i) => {
+                problems.push(...unlockProblems(unlock, `${at}: unlocks[${i}]`, levelCount, names));
+            });
+        }
+    }
+
+    return problems;
+}
+
+// What the browser gets: everything but the prompt and server-side voice id
+function toPublicPersona(persona) {
+    const { systemPrompt, systemPromptFile, voice: { elevenLabsVoiceId, ...voice } = {}, ...rest } = persona;
+    return { ...rest, voice };
+}
+
+/**
+ * The loaded packs, keyed by id
+ */
+export class PersonaLibrary {
+    constructor(personas, defaultId = DEFAULT_PERSONA_ID) {
+        this.personas = personas;
+        this.defaultId = defaultId;
+    }
+
+    /**
+     * Look up a persona by id (falls back to the default when no id is given)
+     * @returns {object|null} The persona, or null if the id is unknown
+     */
+    get(id) {
+        const personaId = id || this.defaultId;
+        return Object.hasOwn(this.personas, personaId) ? this.personas[personaId] : null;
+    }
+
+    // For /api/personas: default id plus every pack without its prompt
+    toPublic() {
+        return {
+            default: this.defaultId,
+            personas: Object.values(this.personas).map(toPublicPersona),
+        };
+    }
+}
+
+/**
+ * Read and check every pack under dir.
+ * @returns {PersonaLibrary}
+ * @throws {PersonaPackError} With every problem found
+ */
+export function loadPersonaLibrary(dir, defaultId = DEFAULT_PERSONA_ID) {
+    const root = resolve(dir);
+    if (!existsSync(root)) {
+        throw new PersonaPackError([`persona folder not found: ${root}`]);
+    }
+
+    const problems = [];
+    const personas = {};
+    const folders = readdirSync(root, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && existsSync(join(root, entry.name, PACK_FILE)))
+        .map(entry => entry.name);
+
+    for (const id of folders) {
+        let pack;
+        try {
+            pack = JSON.parse(readFileSync(join(root, id, PACK_FILE), 'utf8'));
+        } catch (error) {
+            problems.push(`personas/${id}/${PACK_FILE}: ${error.message}`);
+            continue;
+        }
+
+        const packProblems = validatePersonaPack(pack, id);
+        if (packProblems.length) {
+            problems.push(...packProblems);
+            continue;
+        }
+
+        let systemPrompt;
+        try {
+            systemPrompt = readFileSync(join(root, id, pack.systemPromptFile), 'utf8').trim();
+        } catch (error) {
+            problems.push(`personas/${id}: can't read ${pack.systemPromptFile} (${error.code || error.message})`);
+            continue;
+        }
+        if (!systemPrompt) {
+            problems.push(`personas/${id}/${pack.systemPromptFile} is empty`);
+            continue;
+        }
+
+        personas[id] = { ...pack, id, systemPrompt };
+    }
+
+    if (!problems.length && !Object.hasOwn(personas, defaultId)) {
+        problems.push(`default persona "${defaultId}" has no pack in ${root}`);
+    }
+    if (problems.length) throw new PersonaPackError(problems);
+
+    return new PersonaLibrary(personas, defaultId);
+}
@@ -0,0 +1,87 @@
+/**
+ * Anthropic Messages API provider
+ */
+
+import { postJSON, getJSON } from './http.js';
+import { readSSE } from '../streams.js';
+
+export class AnthropicProvider {
+    constructor({ apiKey, baseUrl, model, maxTokens, fetch: fetchImpl = fetch }) {
+        this.name = 'anthropic';
+        this.apiKey = apiKey;
+        this.baseUrl = baseUrl;
+        this.model = model;
+        this.maxTokens = maxTokens;
+        this.fetch = fetchImpl;
+    }
+
+    isConfigured() {
+        return !!this.apiKey;
+    }
+
+    // Cheap authenticated call for readiness checks
+    async ping({ signal } = {}) {
+        await getJSON(this.fetch, `${this.baseUrl}/v1/models?limit=1`, {
+            headers: { 'x-api-key': this.apiKey, 'anthropic-version': '2023-06-01' },
+            signal,
+        });
+    }
+
+    request({ system, messages, stream, signal }) {
+        return postJSON(this.fetch, `${this.baseUrl}/v1/messages`, {
+            headers: {
+                'x-api-key': this.apiKey,
+                'anthropic-version': '2023-06-01',
+            },
+            body: {
+                model: this.model,
+                max_tokens: this.maxTokens,
+                system,
+                messages,
+                stream,
+            },
+            signal,
+        });
+    }
+
+    // Anthropic's response already is the normalized shape
+    async complete({ system, messages, signal }) {
+        const response = await this.request({ system, messages, stream: false, signal });
+        return await response.json();
+    }
+
+    async stream({ system, messages, signal }) {
+        const response = await this.request({ system, messages, stream: true, signal });
+        return this.readStream(response);
+    }
+
+    async* readStream(response) {
+        const message = { role: 'assistant', content: [], usage: {} };
+        let text = '';
+
+        for await (const event of readSSE(response.body)) {
+            switch (event.type) {
+                case 'message_start':
+                    message.id = event.message?.id;
+                    message.model = event.message?.model;
+                    Object.assign(message.usage, event.message?.usage);
+                    break;
+                case 'content_block_delta':
+                    if (event.delta?.type === 'text_delta') {
+                        text += event.delta.text;
+                        yield { type: 'delta', text: event.delta.text };
+                    }
+                    break;
+                case 'message_delta':
+                    message.stop_reason = event.delta?.stop_reason;
+                    Object.assign(message.usage, event.usage);
+                    break;
+                case 'error':
+                    throw new Error(event.error?.message || 'API error');
+            }
+        }
+
+        message.content = [{ type: 'text', text }];
+        yield { type: 'done', message };
+    }
+}
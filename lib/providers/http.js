@@ -0,0 +1,58 @@
+/**
+ * Shared upstream HTTP handling for providers
+ */
+
+import { ProxyError } from '../errors.js';
+
+// Flatten string or text-block content into plain text
+export function messageText(content) {
+    if (typeof content === 'string') return content;
+    return (content || []).map(block => block.text || '').join('');
+}
+
+// ProxyError(502) carrying the provider's own error message and `upstreamStatus`
+async function upstreamError(response) {
+    const errorData = await response.json().catch(() => ({}));
+    // Anthropic/OpenAI send { error: { message } }, Ollama sends { error: "..." },
+    // ElevenLabs sends { detail: { message } }
+    const message = errorData.error?.message ||
+        (typeof errorData.error === 'string' ? errorData.error : null) ||
+        errorData.detail?.message ||
+        'API request failed';
+    const error = new ProxyError(502, message);
+    error.upstreamStatus = response.status;
+    return error;
+}
+
+async function send(fetchImpl, url, init, signal) {
+    let response;
+    try {
+        response = await fetchImpl(url, { ...init, signal });
+    } catch (error) {
+        if (signal?.aborted) throw error;
+        throw new ProxyError(502, error.cause?.message || error.message);
+    }
+
+    if (!response.ok) {
+        throw await upstreamError(response);
+    }
+
+    return response;
+}
+
+/**
+ * POST JSON to a provider. Network failures and non-2xx replies become
+ * ProxyError(502) with the provider's own error message and `upstreamStatus`.
+ */
+export function postJSON(fetchImpl, url, { headers = {}, body, signal }) {
+    return send(fetchImpl, url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+    }, signal);
+}
+
+// GET from a provider, with the same error handling as postJSON
+export function getJSON(fetchImpl, url, { headers = {}, signal } = {}) {
+    return send(fetchImpl, url, { method: 'GET', headers }, signal);
+}
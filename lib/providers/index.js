@@ -0,0 +1,78 @@
+/**
+ * LLM Providers - one /api/chat contract, several backends
+ *
+ * Every provider exposes:
+ *   isConfigured()                              -> false when a required key is missing
+ *   async ping({ signal })                      -> throws when the backend is unreachable
+ *   async complete({ system, messages, signal }) -> normalized message
+ *   async stream({ system, messages, signal })   -> async iterable of
+ *       { type: 'delta', text } ... then { type: 'done', message }
+ *
+ * A normalized message is Anthropic-shaped, which is what ChatController expects:
+ *   { id, role: 'assistant', model, content: [{ type: 'text', text }], stop_reason,
+ *     usage: { input_tokens, output_tokens } }
+ */
+
+import { AnthropicProvider } from './anthropic.js';
+import { OpenAIProvider } from './openai.js';
+import { OllamaProvider } from './ollama.js';
+import { ResilientProvider } from './resilient.js';
+
+export const PROVIDER_DEFAULTS = {
+    anthropic: { baseUrl: 'https://api.anthropic.com', model: 'claude-sonnet-4-20250514' },
+    openai: { baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini' },
+    ollama: { baseUrl: 'http://localhost:11434', model: 'llama3.1' },
+};
+
+export const DEFAULT_MAX_TOKENS = 1024;
+
+/**
+ * @param {object} options
+ * @param {string} [options.name] - anthropic | openai | ollama
+ * @param {string} [options.apiKey]
+ * @param {string} [options.baseUrl] - Defaults per provider
+ * @param {string} [options.model] - Defaults per provider
+ * @param {number} [options.maxTokens]
+ * @param {Function} [options.fetch] - Swap the HTTP client (e.g. the offline mock)
+ */
+export function createProvider({ name = 'anthropic', apiKey, baseUrl, model, maxTokens = DEFAULT_MAX_TOKENS, fetch: fetchImpl } = {}) {
+    const defaults = PROVIDER_DEFAULTS[name];
+    if (!defaults) {
+        throw new Error(`Unknown LLM provider "${name}" (expected one of: ${Object.keys(PROVIDER_DEFAULTS).join(', ')})`);
+    }
+
+    const config = {
+        apiKey,
+        baseUrl: (baseUrl || defaults.baseUrl).replace(/\/+$/, ''),
+        model: model || defaults.model,
+        maxTokens,
+        ...(fetchImpl ? { fetch: fetchImpl } : {}),
+    };
+
+    switch (name) {
+        case 'openai':
+            // Self-hosted OpenAI-compatible servers usually don't need a key
+            return new OpenAIProvider({ ...config, requiresKey: !baseUrl || baseUrl.includes('api.openai.com') });
+        case 'ollama':
+            return new OllamaProvider(config);
+        default:
+            return new AnthropicProvider(config);
+    }
+}
+
+/**
+ * createProvider() for the primary model and each fallback model, wrapped
+ * with timeouts and retries (see resilient.js).
+ *
+ * @param {object} options - createProvider() options, plus:
+ * @param {string[]} [options.fallbackModels] - Tried in order when the primary model keeps failing
+ * @param {number} [options.timeoutMs]
+ * @param {number} [options.retries]
+ * @param {number} [options.retryBaseDelayMs]
+ * @param {Function} [options.onRetry]
+ */
+export function createProviderChain({ fallbackModels = [], timeoutMs, retries, retryBaseDelayMs, onRetry, ...options } = {}) {
+    const primary = createProvider(options);
+    const fallbacks = fallbackModels.map(model => createProvider({ ...options, model }));
+    return new ResilientProvider([primary, ...fallbacks], { timeoutMs, retries, retryBaseDelayMs, onRetry });
+}
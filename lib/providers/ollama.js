@@ -0,0 +1,93 @@
+/**
+ * Ollama native /api/chat provider (local models, no key needed)
+ */
+
+import { postJSON, getJSON, messageText } from './http.js';
+import { readNDJSON } from '../streams.js';
+
+const STOP_REASONS = {
+    stop: 'end_turn',
+    length: 'max_tokens',
+};
+
+export class OllamaProvider {
+    constructor({ baseUrl, model, maxTokens, fetch: fetchImpl = fetch }) {
+        this.name = 'ollama';
+        this.baseUrl = baseUrl;
+        this.model = model;
+        this.maxTokens = maxTokens;
+        this.fetch = fetchImpl;
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    // Cheap call for readiness checks (lists installed models)
+    async ping({ signal } = {}) {
+        await getJSON(this.fetch, `${this.baseUrl}/api/tags`, { signal });
+    }
+
+    request({ system, messages, stream, signal }) {
+        return postJSON(this.fetch, `${this.baseUrl}/api/chat`, {
+            body: {
+                model: this.model,
+                messages: [
+                    ...(system ? [{ role: 'system', content: system }] : []),
+                    ...messages.map(message => ({ role: message.role, content: messageText(message.content) })),
+                ],
+                stream,
+                options: { num_predict: this.maxTokens },
+            },
+            signal,
+        });
+    }
+
+    toMessage(data, text) {
+        return {
+            id: `ollama_${Date.now().toString(36)}`,
+            role: 'assistant',
+            model: data.model,
+            content: [{ type: 'text', text }],
+            stop_reason: STOP_REASONS[data.done_reason] || data.done_reason || null,
+            usage: {
+                input_tokens: data.prompt_eval_count || 0,
+                output_tokens: data.eval_count || 0,
+            },
+        };
+    }
+
+    async complete({ system, messages, signal }) {
+        const response = await this.request({ system, messages, stream: false, signal });
+        const data = await response.json();
+        return this.toMessage(data, data.message?.content || '');
+    }
+
+    async stream({ system, messages, signal }) {
+        const response = await this.request({ system, messages, stream: true, signal });
+        return this.readStream(response);
+    }
+
+    async* readStream(response) {
+        let text = '';
+
+        for await (const chunk of readNDJSON(response.body)) {
+            if (chunk.error) {
+                throw new Error(chunk.error);
+            }
+
+            if (chunk.message?.content) {
+                text += chunk.message.content;
+                yield { type: 'delta', text: chunk.message.content };
+            }
+
+            // The final line carries token counts and the stop reason
+            if (chunk.done) {
+                yield { type: 'done', message: this.toMessage(chunk, text) };
+                return;
+            }
+        }
+
+        throw new Error('API stream ended unexpectedly');
+    }
+}
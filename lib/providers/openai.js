@@ -0,0 +1,115 @@
+/**
+ * OpenAI-compatible Chat Completions provider
+ * Works with OpenAI, OpenRouter, Groq, vLLM, llama.cpp's server, LM Studio, ...
+ */
+
+import { postJSON, getJSON, messageText } from './http.js';
+import { readSSE } from '../streams.js';
+
+const STOP_REASONS = {
+    stop: 'end_turn',
+    length: 'max_tokens',
+};
+
+export class OpenAIProvider {
+    constructor({ apiKey, baseUrl, model, maxTokens, requiresKey = true, fetch: fetchImpl = fetch }) {
+        this.name = 'openai';
+        this.apiKey = apiKey;
+        this.baseUrl = baseUrl;
+        this.model = model;
+        this.maxTokens = maxTokens;
+        this.requiresKey = requiresKey;
+        this.fetch = fetchImpl;
+    }
+
+    isConfigured() {
+        return !this.requiresKey || !!this.apiKey;
+    }
+
+    // Cheap call for readiness checks
+    async ping({ signal } = {}) {
+        await getJSON(this.fetch, `${this.baseUrl}/models`, {
+            headers: this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {},
+            signal,
+        });
+    }
+
+    // System prompt becomes the first message; content is flattened to text
+    toOpenAIMessages(system, messages) {
+        return [
+            ...(system ? [{ role: 'system', content: system }] : []),
+            ...messages.map(message => ({ role: message.role, content: messageText(message.content) })),
+        ];
+    }
+
+    request({ system, messages, stream, signal }) {
+        return postJSON(this.fetch, `${this.baseUrl}/chat/completions`, {
+            headers: this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {},
+            body: {
+                model: this.model,
+                max_tokens: this.maxTokens,
+                messages: this.toOpenAIMessages(system, messages),
+                stream,
+                ...(stream ? { stream_options: { include_usage: true } } : {}),
+            },
+            signal,
+        });
+    }
+
+    async complete({ system, messages, signal }) {
+        const response = await this.request({ system, messages, stream: false, signal });
+        const data = await response.json();
+        const choice = data.choices?.[0];
+
+        return {
+            id: data.id,
+            role: 'assistant',
+            model: data.model,
+            content: [{ type: 'text', text: choice?.message?.content || '' }],
+            stop_reason: STOP_REASONS[choice?.finish_reason] || choice?.finish_reason || null,
+            usage: {
+                input_tokens: data.usage?.prompt_tokens || 0,
+                output_tokens: data.usage?.completion_tokens || 0,
+            },
+        };
+    }
+
+    async stream({ system, messages, signal }) {
+        const response = await this.request({ system, messages, stream: true, signal });
+        return this.readStream(response);
+    }
+
+    async* readStream(response) {
+        const message = { role: 'assistant', content: [], usage: { input_tokens: 0, output_tokens: 0 } };
+        let text = '';
+
+        for await (const chunk of readSSE(response.body)) {
+            if (chunk.error) {
+                throw new Error(chunk.error.message || 'API error');
+            }
+
+            message.id = message.id || chunk.id;
+            message.model = message.model || chunk.model;
+
+            const choice = chunk.choices?.[0];
+            if (choice?.delta?.content) {
+                text += choice.delta.content;
+                yield { type: 'delta', text: choice.delta.content };
+            }
+            if (choice?.finish_reason) {
+                message.stop_reason = STOP_REASONS[choice.finish_reason] || choice.finish_reason;
+            }
+
+            // Usage arrives on the last chunk when stream_options.include_usage is honoured
+            if (chunk.usage) {
+                message.usage = {
+                    input_tokens: chunk.usage.prompt_tokens || 0,
+                    output_tokens: chunk.usage.completion_tokens || 0,
+                };
+            }
+        }
+
+        message.content = [{ type: 'text', text }];
+        yield { type: 'done', message };
+    }
+}
@@ -0,0 +1,188 @@
+/**
+ * Resilient provider - timeouts, retries and fallback models
+ *
+ * Wraps one provider per model (primary first) behind the normal provider
+ * interface. Each attempt gets a timeout until the reply starts; retryable
+ * failures (429, 5xx, 529 overloaded, network errors, timeouts) are retried
+ * with exponential backoff and full jitter, then the next model is tried.
+ * Anything else (bad key, bad request) fails straight away.
+ *
+ * Final errors carry a `code` the chat UI answers in character:
+ *   upstream_rate_limited  upstream_overloaded  upstream_timeout
+ *   upstream_unreachable   upstream_auth        upstream_error
+ */
+
+import { ProxyError } from '../errors.js';
+
+export const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504, 529]);
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Signal that aborts when the client does or when `ms` passes, whichever is first
+function withTimeout(signal, ms) {
+    const controller = new AbortController();
+    const state = { signal: controller.signal, timedOut: false };
+
+    const onAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const timer = setTimeout(() => {
+        state.timedOut = true;
+        controller.abort(new Error('timeout'));
+    }, ms);
+    state.clear = () => clearTimeout(timer);
+    // Once the attempt is over, so retries don't pile listeners onto the client's signal
+    state.release = () => signal?.removeEventListener('abort', onAbort);
+
+    return state;
+}
+
+// Pass stream events through, then call `release`
+async function* releasing(events, release) {
+    try {
+        yield* events;
+    } finally {
+        release();
+    }
+}
+
+// Network failures are ProxyError(502) without an upstream status (see http.js)
+function isNetworkError(error) {
+    return error instanceof ProxyError && !error.upstreamStatus && error.status === 502 && !error.code;
+}
+
+export function isRetryable(error) {
+    return error.code === 'upstream_timeout' ||
+        RETRYABLE_STATUSES.has(error.upstreamStatus) ||
+        isNetworkError(error);
+}
+
+// Give an upstream failure its client-facing status and code
+export function classifyUpstreamError(error) {
+    if (error.code?.startsWith?.('upstream_')) return error;
+
+    const status = error.upstreamStatus;
+    if (status === 429) {
+        error.code = 'upstream_rate_limited';
+        error.status = 503;
+    } else if (status === 529 || status === 503) {
+        error.code = 'upstream_overloaded';
+        error.status = 503;
+    } else if (status === 401 || status === 403) {
+        error.code = 'upstream_auth';
+        error.status = 502;
+    } else if (isNetworkError(error)) {
+        error.code = 'upstream_unreachable';
+    } else {
+        error.code = 'upstream_error';
+        error.status = error.status || 502;
+    }
+    return error;
+}
+
+export class ResilientProvider {
+    /**
+     * @param {object[]} providers - One provider per model, primary first
+     * @param {object} [options]
+     * @param {number} [options.timeoutMs] - Per attempt, until the reply starts
+     * @param {number} [options.retries] - Extra attempts per model
+     * @param {number} [options.retryBaseDelayMs] - First backoff step (doubles each retry)
+     * @param {number} [options.maxRetryDelayMs]
+     * @param {Function} [options.onRetry] - ({ model, attempt, delayMs, error }) before each retry or fallback
+     */
+    constructor(providers, { timeoutMs = 30000, retries = 2, retryBaseDelayMs = 500, maxRetryDelayMs = 8000, onRetry = null } = {}) {
+        this.providers = providers;
+        this.timeoutMs = timeoutMs;
+        this.retries = retries;
+        this.retryBaseDelayMs = retryBaseDelayMs;
+        this.maxRetryDelayMs = maxRetryDelayMs;
+        this.onRetry = onRetry;
+    }
+
+    get name() {
+        return this.providers[0].name;
+    }
+
+    get model() {
+        return this.providers[0].model;
+    }
+
+    isConfigured() {
+        return this.providers[0].isConfigured();
+    }
+
+    ping(options) {
+        return this.providers[0].ping(options);
+    }
+
+    complete(request) {
+        return this.run(request, (provider, attempt) => provider.complete(attempt));
+    }
+
+    // Only opening the stream is retried; once text is flowing, errors go to the client.
+    // The client's abort keeps reaching the upstream until the stream ends.
+    stream(request) {
+        return this.run(request, (provider, attempt) => provider.stream(attempt), releasing);
+    }
+
+    // Full jitter: random delay up to base * 2^(retry - 1), capped
+    backoff(retry) {
+        const ceiling = Math.min(this.maxRetryDelayMs, this.retryBaseDelayMs * 2 ** (retry - 1));
+        return Math.round(Math.random() * ceiling);
+    }
+
+    /**
+     * @param {Function} call - (provider, request) for one attempt
+     * @param {Function} [keep] - (result, release) when the result still needs the
+     *   client's signal; otherwise it is let go as soon as the attempt is over
+     */
+    async run({ signal, ...request }, call, keep = null) {
+        let lastError = null;
+
+        for (const provider of this.providers) {
+            for (let attempt = 0; attempt <= this.retries; attempt++) {
+                if (lastError) {
+                    const delayMs = attempt > 0 ? this.backoff(attempt) : 0;
+                    this.onRetry?.({ model: provider.model, attempt, delayMs, error: lastError });
+                    await sleep(delayMs, signal);
+                }
+
+                const timed = withTimeout(signal, this.timeoutMs);
+                try {
+                    const result = await call(provider, { ...request, signal: timed.signal });
+                    timed.clear();
+                    if (keep) return keep(result, timed.release);
+                    timed.release();
+                    return result;
+                } catch (error) {
+                    timed.clear();
+                    timed.release();
+                    if (signal?.aborted) throw error;
+
+                    lastError = timed.timedOut
+                        ? new ProxyError(504, `Upstream timed out after ${this.timeoutMs}ms`, 'upstream_timeout')
+                        : error;
+
+                    if (!isRetryable(lastError)) throw classifyUpstreamError(lastError);
+                }
+            }
+        }
+
+        throw classifyUpstreamError(lastError);
+    }
+}
@@ -0,0 +1,280 @@
+/**
+ * Rate Limiting - sliding windows over pluggable stores
+ *
+ * Stores keep request timestamps per key and implement:
+ *   async take(key, now, windows, ttl) -> timestamps for key newer than `now - ttl`
+ *                                         (ttl = longest window in ms), recording `now`
+ *                                         unless a window is already full
+ *   async prune(before)                -> forget timestamps older than `before`
+ * `take` must check and record in one step, so concurrent requests can't
+ * all squeeze through the last free slot.
+ *
+ * Backends: MemoryRateLimitStore (default), FileRateLimitStore (survives
+ * restarts) and RedisRateLimitStore (wraps any ioredis-compatible client).
+ */
+
+import { readFileSync, writeFileSync, renameSync, mkdirSync, existsSync } from 'fs';
+import { dirname } from 'path';
+import { logger } from './logging.js';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// ============================================================
+// 🛡️ RATE LIMITING CONFIG (protect your API key from abuse)
+// ============================================================
+export const RATE_LIMIT = {
+    MAX_REQUESTS_PER_MINUTE: 20,    // Max requests per IP per minute
+    MAX_REQUESTS_PER_HOUR: 100,     // Max requests per IP per hour
+    MAX_REQUESTS_PER_DAY: 300,      // Max requests per IP per day
+};
+
+/**
+ * Build the window list from per-minute/hour/day maximums.
+ * A max of 0 (or less) disables that window.
+ */
+export function buildRateLimitWindows(limits = RATE_LIMIT) {
+    return [
+        { ms: MINUTE, max: limits.MAX_REQUESTS_PER_MINUTE, reason: 'Too many requests. Chill for a minute, anon~ 💜' },
+        { ms: HOUR, max: limits.MAX_REQUESTS_PER_HOUR, reason: 'Hourly limit reached. Come back later, bestie~' },
+        { ms: DAY, max: limits.MAX_REQUESTS_PER_DAY, reason: "that's enough for today babe... come back tomorrow 💤" },
+    ].filter(window => window.max > 0);
+}
+
+// Has `window` no room left, given the request times for a key?
+function isFull(times, now, window) {
+    return times.filter(time => now - time < window.ms).length >= window.max;
+}
+
+// ============================================================
+// 🗄️ STORES
+// ============================================================
+
+export class MemoryRateLimitStore {
+    constructor() {
+        this.requests = new Map();
+    }
+
+    // No await between reading and writing, so this is atomic within the process
+    async take(key, now, windows, ttl) {
+        const times = (this.requests.get(key) || []).filter(time => time > now - ttl);
+        if (!windows.some(window => isFull(times, now, window))) {
+            this.requests.set(key, [...times, now]);
+        }
+        return times;
+    }
+
+    async prune(before) {
+        for (const [key, times] of this.requests.entries()) {
+            const recent = times.filter(time => time > before);
+            if (recent.length === 0) {
+                this.requests.delete(key);
+            } else {
+                this.requests.set(key, recent);
+            }
+        }
+    }
+}
+
+/**
+ * In-memory store mirrored to a JSON file, so limits survive restarts.
+ * Writes are batched and atomic (temp file + rename).
+ */
+export class FileRateLimitStore extends MemoryRateLimitStore {
+    constructor(filePath, { flushDelay = SECOND } = {}) {
+        super();
+        this.filePath = filePath;
+        this.flushDelay = flushDelay;
+        this.flushTimer = null;
+        this.load();
+
+        // Don't lose a pending batch on shutdown
+        process.on('exit', () => {
+            if (this.flushTimer) this.flush();
+        });
+    }
+
+    load() {
+        if (!existsSync(this.filePath)) return;
+
+        try {
+            const data = JSON.parse(readFileSync(this.filePath, 'utf8'));
+            for (const [key, times] of Object.entries(data)) {
+                if (Array.isArray(times)) this.requests.set(key, times);
+            }
+        } catch (error) {
+            logger.warn('rate_limit_file_read_failed', { file: this.filePath, error: error.message });
+        }
+    }
+
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        try {
+            mkdirSync(dirname(this.filePath), { recursive: true });
+            const tmpPath = `${this.filePath}.tmp`;
+            writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(this.requests)));
+            renameSync(tmpPath, this.filePath);
+        } catch (error) {
+            logger.error('rate_limit_file_write_failed', { file: this.filePath, error: error.message });
+        }
+    }
+
+    scheduleFlush() {
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => this.flush(), this.flushDelay);
+        this.flushTimer.unref?.();
+    }
+
+    async take(key, now, windows, ttl) {
+        const times = await super.take(key, now, windows, ttl);
+        this.scheduleFlush();
+        return times;
+    }
+
+    async prune(before) {
+        await super.prune(before);
+        this.scheduleFlush();
+    }
+}
+
+// KEYS[1] = sorted set; ARGV = now, ttl, member, then ms/max pairs per window.
+// Same rule as isFull(), run inside Redis so check + add can't interleave.
+const REDIS_TAKE_SCRIPT = `
+local now = tonumber(ARGV[1])
+local ttl = tonumber(ARGV[2])
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - ttl)
+local times = redis.call('ZRANGEBYSCORE', KEYS[1], '(' .. (now - ttl), '+inf', 'WITHSCORES')
+for i = 4, #ARGV, 2 do
+    if redis.call('ZCOUNT', KEYS[1], '(' .. (now - tonumber(ARGV[i])), '+inf') >= tonumber(ARGV[i + 1]) then
+        return times
+    end
+end
+redis.call('ZADD', KEYS[1], now, ARGV[3])
+redis.call('PEXPIRE', KEYS[1], ttl)
+return times
+`;
+
+/**
+ * Adapter for Redis-compatible stores (ioredis API: eval). One sorted set
+ * per key; take() runs as a Lua script, so it's atomic across processes.
+ */
+export class RedisRateLimitStore {
+    constructor(client, { prefix = 'solwaifu:ratelimit:' } = {}) {
+        this.client = client;
+        this.prefix = prefix;
+    }
+
+    async take(key, now, windows, ttl) {
+        const member = `${now}-${Math.random().toString(36).slice(2, 8)}`;
+        const limits = windows.flatMap(window => [window.ms, window.max]);
+        const members = await this.client.eval(REDIS_TAKE_SCRIPT, 1, this.prefix + key, now, ttl, member, ...limits);
+
+        const times = [];
+        for (let i = 1; i < members.length; i += 2) {
+            times.push(Number(members[i]));
+        }
+        return times;
+    }
+
+    async prune() {
+        // Keys expire on their own via PEXPIRE
+    }
+}
+
+// ============================================================
+// ⏱️ LIMITER
+// ============================================================
+
+export class RateLimiter {
+    constructor({ store = new MemoryRateLimitStore(), windows = buildRateLimitWindows() } = {}) {
+        this.store = store;
+        this.windows = windows;
+        this.longestWindow = Math.max(0, ...windows.map(window => window.ms));
+    }
+
+    /**
+     * Check and record one request for `key`.
+     * @returns {Promise<{allowed: boolean, reason?: string, headers: object}>}
+     *   `headers` holds X-RateLimit-* (plus Retry-After when blocked)
+     */
+    async check(key) {
+        if (this.windows.length === 0) {
+            return { allowed: true, headers: {} };
+        }
+
+        // Recorded by the store in the same step, unless a window is already full
+        const now = Date.now();
+        const times = await this.store.take(key, now, this.windows, this.longestWindow);
+
+        // Find the tightest window, and the first one that is already full
+        let tightest = null;
+        let blocked = null;
+        for (const window of this.windows) {
+            const inWindow = times.filter(time => now - time < window.ms).sort((a, b) => a - b);
+            const remaining = window.max - inWindow.length;
+            const resetAt = (inWindow[0] ?? now) + window.ms;
+            const state = { window, remaining, resetAt };
+
+            if (!tightest || remaining < tightest.remaining) tightest = state;
+            if (remaining <= 0 && !blocked) blocked = state;
+        }
+
+        if (blocked) {
+            const retryAfter = Math.max(1, Math.ceil((blocked.resetAt - now) / SECOND));
+            return {
+                allowed: false,
+                reason: blocked.window.reason,
+                headers: {
+                    'Retry-After': String(retryAfter),
+                    ...rateLimitHeaders(blocked.window.max, 0, blocked.resetAt),
+                },
+            };
+        }
+
+        return {
+            allowed: true,
+            headers: rateLimitHeaders(tightest.window.max, tightest.remaining - 1, tightest.resetAt),
+        };
+    }
+
+    // Drop timestamps that have left every window
+    async cleanup() {
+        await this.store.prune(Date.now() - this.longestWindow);
+    }
+}
+
+function rateLimitHeaders(limit, remaining, resetAt) {
+    return {
+        'X-RateLimit-Limit': String(limit),
+        'X-RateLimit-Remaining': String(Math.max(0, remaining)),
+        'X-RateLimit-Reset': String(Math.ceil(resetAt / SECOND)),
+    };
+}
+
+/**
+ * Create a limiter from the `rateLimit` section of the config (lib/config.js):
+ *   { perMinute, perHour, perDay, store: 'memory' | 'file', file }
+ * Redis needs a client instance, so pass a RedisRateLimitStore to new RateLimiter() instead.
+ */
+export function createRateLimiter({
+    perMinute = RATE_LIMIT.MAX_REQUESTS_PER_MINUTE,
+    perHour = RATE_LIMIT.MAX_REQUESTS_PER_HOUR,
+    perDay = RATE_LIMIT.MAX_REQUESTS_PER_DAY,
+    store = 'memory',
+    file = '.data/rate-limits.json',
+} = {}) {
+    const windows = buildRateLimitWindows({
+        MAX_REQUESTS_PER_MINUTE: perMinute,
+        MAX_REQUESTS_PER_HOUR: perHour,
+        MAX_REQUESTS_PER_DAY: perDay,
+    });
+
+    return new RateLimiter({
+        store: store === 'file' ? new FileRateLimitStore(file) : new MemoryRateLimitStore(),
+        windows,
+    });
+}
@@ -0,0 +1,123 @@
+/**
+ * Reaction Tags - what Sol's face and the love meter should do
+ *
+ * The model is asked to open every reply with one tag:
+ *   [[emotion:flirty intensity:0.7 gesture:wink love:+2]]
+ * The proxy strips it from the text (streamed deltas included) and sends it
+ * as the reply's `reaction` field: { emotion, intensity, gesture, love }.
+ * Replies without a usable tag have no `reaction`, and the page falls back
+ * to its keyword heuristics.
+ */
+
+import { EMOTIONS, GESTURES, LOVE_RANGE } from '../js/reaction-format.js';
+
+// The page checks imported reactions against the same lists (js/reaction-format.js)
+export { EMOTIONS, GESTURES, LOVE_RANGE };
+
+// A tag longer than this isn't a tag; stop holding back the stream
+const MAX_TAG_CHARS = 160;
+
+const TAG_OPEN = '[[';
+const LEADING_TAG = /^\s*\[\[([^\]]*)\]\]\s*/;
+
+export const REACTION_FORMAT = `REPLY FORMAT (never mention this):
+Start every reply with one tag describing how you feel, then your message:
+[[emotion:<${EMOTIONS.join('|')}> intensity:<0.0-1.0> gesture:<${GESTURES.join('|')}> love:<${LOVE_RANGE.min} to +${LOVE_RANGE.max}>]]
+"love" is how much closer this message made you feel to them (1 = normal chat, higher = they got you, negative = they annoyed you).
+Example: [[emotion:flirty intensity:0.6 gesture:wink love:+2]] you think you're so smooth huh 👀`;
+
+// System prompt with the reply format appended (the persona itself is untouched)
+export function withReactionFormat(systemPrompt) {
+    return `${systemPrompt}\n\n${REACTION_FORMAT}`;
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * "emotion:flirty intensity:0.7 ..." -> normalized reaction, or null
+ * when there's no recognizable emotion
+ */
+export function parseReaction(body) {
+    const fields = Object.fromEntries(
+        [...body.matchAll(/(\w+)\s*[:=]\s*([^\s,]+)/g)].map(([, key, value]) => [key.toLowerCase(), value.toLowerCase()])
+    );
+
+    if (!EMOTIONS.includes(fields.emotion)) return null;
+
+    const intensity = parseFloat(fields.intensity);
+    const love = parseInt(fields.love, 10);
+    return {
+        emotion: fields.emotion,
+        intensity: Number.isFinite(intensity) ? clamp(intensity, 0, 1) : 0.5,
+        gesture: GESTURES.includes(fields.gesture) ? fields.gesture : 'none',
+        love: Number.isFinite(love) ? clamp(love, LOVE_RANGE.min, LOVE_RANGE.max) : 1,
+    };
+}
+
+/**
+ * Split a finished reply into its reaction and the text to show.
+ * Stray tags later in the text are dropped too.
+ *
+ * @returns {{reaction: object|null, text: string}}
+ */
+export function extractReaction(text) {
+    const match = text.match(LEADING_TAG);
+    const reaction = match ? parseReaction(match[1]) : null;
+    const rest = match ? text.slice(match[0].length) : text;
+    return { reaction, text: rest.replace(/\[\[[^\]]*\]\]\s*/g, '').trim() };
+}
+
+/**
+ * Streaming counterpart of extractReaction: holds back the first deltas
+ * until it knows whether the reply opens with a tag.
+ */
+export class ReactionTagFilter {
+    constructor() {
+        this.buffer = '';
+        this.settled = false;
+        this.afterTag = false;      // Drop the space between the tag and the text
+        this.reaction = null;
+    }
+
+    /**
+     * @returns {string} Text that can be shown now (possibly empty)
+     */
+    push(text) {
+        if (this.settled) return this.trimAfterTag(text);
+
+        this.buffer += text;
+        const pending = this.buffer.trimStart();
+
+        // Could still turn into a tag: keep waiting
+        const couldBeTag = TAG_OPEN.startsWith(pending) ||
+            (pending.startsWith(TAG_OPEN) && !pending.includes(']]') && pending.length < MAX_TAG_CHARS);
+        if (couldBeTag) return '';
+
+        return this.settle();
+    }
+
+    // End of stream: whatever is still held back
+    flush() {
+        return this.settled ? '' : this.settle();
+    }
+
+    settle() {
+        this.settled = true;
+        const match = this.buffer.match(LEADING_TAG);
+        if (match) {
+            this.reaction = parseReaction(match[1]);
+            this.afterTag = true;
+            return this.trimAfterTag(this.buffer.slice(match[0].length));
+        }
+        return this.buffer;
+    }
+
+    trimAfterTag(text) {
+        if (!this.afterTag) return text;
+        const trimmed = text.trimStart();
+        if (trimmed) this.afterTag = false;
+        return trimmed;
+    }
+}
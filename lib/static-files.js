@@ -0,0 +1,249 @@
+/**
+ * Static File Serving - for the local server
+ *
+ * Blocks path traversal, dotfiles (.env, .git, .data) and server-only
+ * sources (personas/ holds the persona prompts - only each pack's assets/
+ * folder is public), streams files instead of
+ * buffering them, answers conditional requests with 304, compresses text
+ * assets (brotli/gzip) and supports byte ranges for big .vrm/.fbx files.
+ */
+
+import { createReadStream } from 'fs';
+import { stat } from 'fs/promises';
+import { resolve, sep, extname } from 'path';
+import { createBrotliCompress, createGzip, constants as zlibConstants } from 'zlib';
+import { pipeline } from 'stream';
+import { logger } from './logging.js';
+
+// MIME types for static file serving
+export const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.mjs': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.map': 'application/json; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon',
+    '.svg': 'image/svg+xml',
+    '.vrm': 'model/gltf-binary',
+    '.vrma': 'model/gltf-binary',
+    '.glb': 'model/gltf-binary',
+    '.gltf': 'model/gltf+json',
+    '.fbx': 'application/octet-stream',
+    '.wasm': 'application/wasm',
+    '.mp3': 'audio/mpeg',
+    '.wav': 'audio/wav',
+    '.ogg': 'audio/ogg',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf'
+};
+
+// Worth compressing on the fly
+const COMPRESSIBLE = new Set(['.html', '.css', '.js', '.mjs', '.json', '.map', '.txt', '.md', '.svg', '.gltf']);
+
+// Revalidated on every load; everything else (models, audio, images) is cached for a day
+const REVALIDATE = new Set(['.html', '.css', '.js', '.mjs', '.json']);
+
+// Persona packs hold the prompts; only their assets/ folders are public
+const PERSONAS_DIR = 'personas';
+const PERSONA_ASSETS_DIR = 'assets';
+
+// Server code and config that must never be served (plus solwaifu.config.*, which may hold keys)
+const SERVER_ONLY = new Set(['lib', PERSONAS_DIR, 'netlify', 'test', 'node_modules', 'server.js', 'package.json', 'package-lock.json', 'netlify.toml']);
+
+// personas/<id>/assets/<file...> - the one public part of a persona pack
+function isPersonaAsset(segments) {
+    return segments[0] === PERSONAS_DIR && segments.length >= 4 && segments[2] === PERSONA_ASSETS_DIR;
+}
+
+/**
+ * Map a URL path onto a file under root.
+ * @returns {string|null} Absolute path, or null when the path is not servable
+ */
+export function resolveStaticPath(root, urlPath) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(urlPath);
+    } catch (e) {
+        return null;
+    }
+
+    if (decoded.includes('\0')) return null;
+
+    const segments = decoded.split(/[\\/]+/).filter(Boolean);
+
+    // Dotfiles/dotdirs (also catches "..") and server-only sources
+    if (segments.some(segment => segment.startsWith('.'))) return null;
+    if (segments.length > 0 && !isPersonaAsset(segments) &&
+        (SERVER_ONLY.has(segments[0]) || segments[0].startsWith('solwaifu.config'))) return null;
+
+    const rootPath = resolve(root);
+    const fullPath = resolve(rootPath, ...segments);
+    if (fullPath !== rootPath && !fullPath.startsWith(rootPath + sep)) return null;
+
+    return fullPath;
+}
+
+// Parse a single "bytes=" range; null = serve whole file, false = unsatisfiable
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match) return null; // Multiple or malformed ranges: ignore and send everything
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range: last N bytes
+        const suffix = parseInt(match[2], 10);
+        if (!suffix) return false;
+        start = Math.max(0, size - suffix);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
+
+    if (start > end || start >= size) return false;
+    return { start, end };
+}
+
+function pickEncoding(acceptEncoding = '') {
+    if (/\bbr\b/.test(acceptEncoding)) return 'br';
+    if (/\bgzip\b/.test(acceptEncoding)) return 'gzip';
+    return null;
+}
+
+function isNotModified(req, etag, mtime) {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch) {
+        return ifNoneMatch.split(',').some(tag => tag.trim() === etag || tag.trim() === '*');
+    }
+
+    const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+    return !Number.isNaN(ifModifiedSince) && Math.floor(mtime.getTime() / 1000) * 1000 <= ifModifiedSince;
+}
+
+function sendText(res, status, message, headers) {
+    res.writeHead(status, { 'Content-Type': 'text/plain', ...headers });
+    res.end(message);
+}
+
+/**
+ * Serve one static file request.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {string} urlPath - Request pathname ("/" already mapped to "/index.html")
+ * @param {object} options
+ * @param {string} options.root - Directory to serve from
+ * @param {object} [options.headers] - Extra headers for every response (CORS)
+ */
+export async function serveStatic(req, res, urlPath, { root, headers = {} }) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        sendText(res, 405, 'Method not allowed', { 'Allow': 'GET, HEAD, OPTIONS', ...headers });
+        return;
+    }
+
+    const fullPath = resolveStaticPath(root, urlPath);
+    if (!fullPath) {
+        sendText(res, 404, 'File not found', headers);
+        return;
+    }
+
+    let stats;
+    try {
+        stats = await stat(fullPath);
+    } catch (e) {
+        stats = null;
+    }
+    if (!stats || !stats.isFile()) {
+        sendText(res, 404, 'File not found', headers);
+        return;
+    }
+
+    const ext = extname(fullPath).toLowerCase();
+    const etag = `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+
+    const baseHeaders = {
+        'Content-Type': MIME_TYPES[ext] || 'application/octet-stream',
+        'Last-Modified': stats.mtime.toUTCString(),
+        'Cache-Control': REVALIDATE.has(ext) ? 'no-cache' : 'public, max-age=86400',
+        'Accept-Ranges': 'bytes',
+        ...headers
+    };
+
+    // Range requests are always answered uncompressed
+    const encoding = COMPRESSIBLE.has(ext) && stats.size > 1024 && !req.headers.range
+        ? pickEncoding(req.headers['accept-encoding'])
+        : null;
+    if (COMPRESSIBLE.has(ext)) {
+        baseHeaders['Vary'] = 'Accept-Encoding';
+    }
+
+    // Compressed bodies get their own validator
+    const responseEtag = encoding ? etag.replace(/"$/, `-${encoding}"`) : etag;
+    baseHeaders['ETag'] = responseEtag;
+
+    if (isNotModified(req, responseEtag, stats.mtime)) {
+        res.writeHead(304, baseHeaders);
+        res.end();
+        return;
+    }
+
+    // Byte ranges
+    let range = null;
+    if (req.headers.range) {
+        range = parseRange(req.headers.range, stats.size);
+        if (range === false) {
+            sendText(res, 416, 'Range not satisfiable', { 'Content-Range': `bytes */${stats.size}`, ...headers });
+            return;
+        }
+    }
+
+    let status = 200;
+    let transform = null;
+
+    if (range) {
+        status = 206;
+        baseHeaders['Content-Range'] = `bytes ${range.start}-${range.end}/${stats.size}`;
+        baseHeaders['Content-Length'] = range.end - range.start + 1;
+    } else if (encoding) {
+        baseHeaders['Content-Encoding'] = encoding;
+        transform = encoding === 'br'
+            ? createBrotliCompress({ params: { [zlibConstants.BROTLI_PARAM_QUALITY]: 5 } })
+            : createGzip();
+    } else {
+        baseHeaders['Content-Length'] = stats.size;
+    }
+
+    res.writeHead(status, baseHeaders);
+
+    if (req.method === 'HEAD') {
+        res.end();
+        return;
+    }
+
+    const fileStream = createReadStream(fullPath, range || {});
+    const onError = (error) => {
+        // Clients closing the connection mid-download is normal (e.g. range seeks)
+        if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+            logger.error('static_file_failed', { file: fullPath, error: error.message });
+            res.destroy();
+        }
+    };
+
+    if (transform) {
+        pipeline(fileStream, transform, res, onError);
+    } else {
+        pipeline(fileStream, res, onError);
+    }
+}
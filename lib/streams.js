@@ -0,0 +1,60 @@
+/**
+ * Stream Helpers - Server-Sent Events and newline-delimited JSON
+ */
+
+// Format one Server-Sent Event
+export function formatSSE(event, data) {
+    return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// Split a Server-Sent Events buffer into parsed data payloads, returning the unfinished tail
+export function parseSSEEvents(buffer, onEvent) {
+    const blocks = buffer.replace(/\r\n/g, '\n').split('\n\n');
+    const rest = blocks.pop();
+
+    for (const block of blocks) {
+        const data = block.split('\n')
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).trim())
+            .join('\n');
+        if (!data) continue;
+
+        try {
+            onEvent(JSON.parse(data));
+        } catch (e) {
+            // Ignore keep-alive pings, [DONE] markers and malformed events
+        }
+    }
+
+    return rest;
+}
+
+// Yield each JSON payload from a Server-Sent Events response body
+export async function* readSSE(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of body) {
+        const events = [];
+        buffer = parseSSEEvents(buffer + decoder.decode(chunk, { stream: true }), event => events.push(event));
+        yield* events;
+    }
+}
+
+// Yield each JSON line from a newline-delimited JSON response body
+export async function* readNDJSON(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            if (line.trim()) yield JSON.parse(line);
+        }
+    }
+
+    if (buffer.trim()) yield JSON.parse(buffer);
+}
@@ -0,0 +1,118 @@
+/**
+ * Text-to-Speech - server-side ElevenLabs proxy with a disk cache
+ *
+ * The ElevenLabs key stays on the server. Generated audio is cached on disk
+ * under a hash of text + voice + model, so repeated lines (greetings,
+ * canned reactions) cost nothing after the first time.
+ */
+
+import { readFile, writeFile, rename, mkdir, readdir, stat, unlink } from 'fs/promises';
+import { createHash } from 'crypto';
+import { join } from 'path';
+import { postJSON } from './providers/http.js';
+import { logger } from './logging.js';
+
+export const ELEVENLABS_DEFAULTS = {
+    baseUrl: 'https://api.elevenlabs.io',
+    voiceId: '2ajXGJNYBR0iNHpS4VZb',    // Sol's custom voice
+    model: 'eleven_turbo_v2_5',
+};
+
+// Same voice settings the browser used to send
+export const VOICE_SETTINGS = {
+    stability: 0.30,
+    similarity_boost: 0.80,
+    style: 0.75,
+    use_speaker_boost: true,
+    speaking_rate: 0.85,
+};
+
+export class ElevenLabsTTS {
+    constructor({ apiKey, baseUrl = ELEVENLABS_DEFAULTS.baseUrl, voiceId = ELEVENLABS_DEFAULTS.voiceId, model = ELEVENLABS_DEFAULTS.model, fetch: fetchImpl = globalThis.fetch } = {}) {
+        this.apiKey = apiKey;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.voiceId = voiceId;
+        this.model = model;
+        this.fetch = fetchImpl;
+    }
+
+    isConfigured() {
+        return !!this.apiKey;
+    }
+
+    /**
+     * @returns {Promise<Buffer>} MP3 audio
+     */
+    async synthesize({ text, voiceId = this.voiceId, signal }) {
+        const response = await postJSON(this.fetch, `${this.baseUrl}/v1/text-to-speech/${encodeURIComponent(voiceId)}`, {
+            headers: { 'xi-api-key': this.apiKey, 'Accept': 'audio/mpeg' },
+            body: { text, model_id: this.model, voice_settings: VOICE_SETTINGS },
+            signal,
+        });
+        return Buffer.from(await response.arrayBuffer());
+    }
+}
+
+export function ttsCacheKey(text, voiceId, model) {
+    return createHash('sha256').update(`${model}\n${voiceId}\n${text}`).digest('hex');
+}
+
+/**
+ * Audio files on disk, one per key. Once there are more than `maxEntries`,
+ * the least recently written ones are deleted down to `lowWater`, so the
+ * folder is only scanned again after that many new lines. Cache errors are
+ * logged and never fail a request (e.g. read-only filesystems on serverless hosts).
+ */
+export class TTSCache {
+    constructor(dir, { maxEntries = 500, lowWater = Math.floor(maxEntries * 0.8) } = {}) {
+        this.dir = dir;
+        this.maxEntries = maxEntries;
+        this.lowWater = lowWater;
+        this.entries = null;    // Files on disk, counted on the first write
+    }
+
+    pathFor(key) {
+        return join(this.dir, `${key}.mp3`);
+    }
+
+    async get(key) {
+        try {
+            return await readFile(this.pathFor(key));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    async set(key, audio) {
+        try {
+            await mkdir(this.dir, { recursive: true });
+            const tmpPath = `${this.pathFor(key)}.tmp`;
+            await writeFile(tmpPath, audio);
+            await rename(tmpPath, this.pathFor(key));
+
+            this.entries = this.entries === null ? (await this.list()).length : this.entries + 1;
+            if (this.entries > this.maxEntries) await this.prune();
+        } catch (error) {
+            logger.warn('tts_cache_write_failed', { dir: this.dir, error: error.message });
+        }
+    }
+
+    async list() {
+        return (await readdir(this.dir)).filter(name => name.endsWith('.mp3'));
+    }
+
+    async prune() {
+        const names = await this.list();
+        const files = await Promise.all(names.map(async name => {
+            const path = join(this.dir, name);
+            return { path, mtime: (await stat(path)).mtimeMs };
+        }));
+        files.sort((a, b) => a.mtime - b.mtime);
+
+        const stale = files.slice(0, Math.max(0, files.length - this.lowWater));
+        for (const file of stale) {
+            await unlink(file.path).catch(() => {});
+        }
+        this.entries = files.length - stale.length;
+    }
+}
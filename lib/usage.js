@@ -0,0 +1,138 @@
+/**
+ * Token Usage & Daily Budget
+ *
+ * Records input/output tokens from every upstream reply, per UTC day,
+ * globally and per visitor. Visitors are keyed by an HMAC of their IP
+ * (see visitorId) so neither stats nor logs hold raw addresses.
+ * Totals are in-memory, so on Netlify every function instance keeps its own.
+ */
+
+import { createHmac, randomBytes } from 'crypto';
+
+// ============================================================
+// 💸 BUDGET CONFIG
+// ============================================================
+export const TOKEN_BUDGET = {
+    DAILY_GLOBAL_TOKENS: 2_000_000,     // All visitors combined, per UTC day
+    DAILY_PER_IP_TOKENS: 50_000,        // One visitor, per UTC day
+};
+
+// USD per million tokens (claude-sonnet-4 list price)
+export const TOKEN_PRICING = {
+    INPUT_PER_MTOK: 3,
+    OUTPUT_PER_MTOK: 15,
+};
+
+export const BUDGET_EXHAUSTED_MESSAGE = "ugh i'm so tired babe... 😴 i need my beauty sleep, come back tomorrow~";
+
+// Used when no secret is configured: ids stay stable until the process restarts
+const PROCESS_SECRET = randomBytes(32).toString('hex');
+
+/**
+ * Stable, non-reversible id for a visitor's IP. Keyed with a server secret -
+ * a plain hash of an IPv4 address can be brute-forced in minutes.
+ */
+export function visitorId(ip, secret) {
+    return createHmac('sha256', secret || PROCESS_SECRET).update(String(ip)).digest('hex').slice(0, 16);
+}
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+function emptyTotals() {
+    return { requests: 0, input_tokens: 0, output_tokens: 0 };
+}
+
+function estimateCost(totals) {
+    const cost = (totals.input_tokens * TOKEN_PRICING.INPUT_PER_MTOK +
+        totals.output_tokens * TOKEN_PRICING.OUTPUT_PER_MTOK) / 1_000_000;
+    return Math.round(cost * 10000) / 10000;
+}
+
+export class UsageTracker {
+    constructor({ dailyGlobalTokens = TOKEN_BUDGET.DAILY_GLOBAL_TOKENS, dailyPerIPTokens = TOKEN_BUDGET.DAILY_PER_IP_TOKENS, secret = null } = {}) {
+        this.dailyGlobalTokens = dailyGlobalTokens;
+        this.dailyPerIPTokens = dailyPerIPTokens;
+        this.secret = secret;
+        this.allTime = emptyTotals();
+        this.resetDay(today());
+    }
+
+    resetDay(day) {
+        this.day = day;
+        this.global = emptyTotals();
+        this.visitors = new Map();
+    }
+
+    // Start a fresh day when the UTC date rolls over
+    rollover() {
+        const day = today();
+        if (day !== this.day) this.resetDay(day);
+    }
+
+    /**
+     * Whether `ip` may spend more tokens today.
+     * A budget of 0 (or less) means unlimited.
+     */
+    hasBudget(ip) {
+        this.rollover();
+
+        const used = totals => totals.input_tokens + totals.output_tokens;
+
+        if (this.dailyGlobalTokens > 0 && used(this.global) >= this.dailyGlobalTokens) {
+            return false;
+        }
+
+        const visitor = this.visitors.get(visitorId(ip, this.secret));
+        if (this.dailyPerIPTokens > 0 && visitor && used(visitor) >= this.dailyPerIPTokens) {
+            return false;
+        }
+
+        return true;
+    }
+
+    // Record the `usage` block of an upstream reply
+    record(ip, usage = {}) {
+        this.rollover();
+
+        const key = visitorId(ip, this.secret);
+        if (!this.visitors.has(key)) {
+            this.visitors.set(key, emptyTotals());
+        }
+
+        for (const totals of [this.global, this.visitors.get(key), this.allTime]) {
+            totals.requests += 1;
+            totals.input_tokens += usage.input_tokens || 0;
+            totals.output_tokens += usage.output_tokens || 0;
+        }
+    }
+
+    /**
+     * Snapshot for the stats endpoint. Per-visitor totals are only listed
+     * when `topVisitors` > 0 - keep it at 0 for unauthenticated callers.
+     */
+    getStats({ topVisitors = 10 } = {}) {
+        this.rollover();
+
+        const visitors = [...this.visitors.entries()]
+            .map(([id, totals]) => ({ id, ...totals, estimated_cost_usd: estimateCost(totals) }))
+            .sort((a, b) => (b.input_tokens + b.output_tokens) - (a.input_tokens + a.output_tokens))
+            .slice(0, topVisitors);
+
+        return {
+            day: this.day,
+            today: { ...this.global, estimated_cost_usd: estimateCost(this.global) },
+            all_time: { ...this.allTime, estimated_cost_usd: estimateCost(this.allTime) },
+            budget: {
+                daily_global_tokens: this.dailyGlobalTokens,
+                daily_per_ip_tokens: this.dailyPerIPTokens,
+                global_remaining: this.dailyGlobalTokens > 0
+                    ? Math.max(0, this.dailyGlobalTokens - this.global.input_tokens - this.global.output_tokens)
+                    : null,
+            },
+            unique_visitors: this.visitors.size,
+            ...(topVisitors > 0 ? { top_visitors: visitors } : {}),
+        };
+    }
+}
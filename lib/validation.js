@@ -0,0 +1,118 @@
+/**
+ * Chat Payload Validation
+ * Keeps a single client from burning huge token counts per request
+ */
+
+// ============================================================
+// 📏 ABUSE LIMITS
+// ============================================================
+export const CHAT_LIMITS = {
+    MAX_BODY_BYTES: 64 * 1024,      // Whole request body
+    MAX_MESSAGES: 40,               // Messages per request
+    MAX_MESSAGE_CHARS: 4000,        // Characters per message
+    MAX_SUMMARY_CHARS: 2000,        // Running summary of older turns (see lib/context.js)
+    MAX_MEMORIES: 20,               // Remembered facts per request (see lib/memory.js)
+    MAX_MEMORY_CHARS: 200,          // Characters per remembered fact
+};
+
+const ROLES = ['user', 'assistant'];
+
+// Total text length of a message's content (string or text blocks)
+function contentLength(content) {
+    if (typeof content === 'string') return content.length;
+    return content.reduce((total, block) => total + block.text.length, 0);
+}
+
+function validateContent(content, index) {
+    if (typeof content === 'string') {
+        if (!content.trim()) return `messages[${index}].content must not be empty`;
+        return null;
+    }
+
+    if (!Array.isArray(content) || content.length === 0) {
+        return `messages[${index}].content must be a string or an array of text blocks`;
+    }
+
+    for (const block of content) {
+        if (!block || block.type !== 'text' || typeof block.text !== 'string') {
+            return `messages[${index}].content may only contain text blocks`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Validate a parsed /api/chat payload.
+ * @returns {string|null} A readable error message, or null if the payload is fine
+ */
+export function validateChatPayload(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return 'Request body must be a JSON object';
+    }
+
+    const { messages, persona, stream, summary, memories } = body;
+
+    if (persona !== undefined && typeof persona !== 'string') {
+        return '`persona` must be a string';
+    }
+
+    if (stream !== undefined && typeof stream !== 'boolean') {
+        return '`stream` must be a boolean';
+    }
+
+    if (summary !== undefined && typeof summary !== 'string') {
+        return '`summary` must be a string';
+    }
+
+    if (summary?.length > CHAT_LIMITS.MAX_SUMMARY_CHARS) {
+        return `\`summary\` is too long (max ${CHAT_LIMITS.MAX_SUMMARY_CHARS} characters)`;
+    }
+
+    if (memories !== undefined) {
+        if (!Array.isArray(memories) || !memories.every(memory => typeof memory === 'string' && memory.trim())) {
+            return '`memories` must be an array of non-empty strings';
+        }
+        if (memories.length > CHAT_LIMITS.MAX_MEMORIES) {
+            return `Too many memories (max ${CHAT_LIMITS.MAX_MEMORIES})`;
+        }
+        if (memories.some(memory => memory.length > CHAT_LIMITS.MAX_MEMORY_CHARS)) {
+            return `Memories may be at most ${CHAT_LIMITS.MAX_MEMORY_CHARS} characters each`;
+        }
+    }
+
+    if (!Array.isArray(messages) || messages.length === 0) {
+        return '`messages` must be a non-empty array';
+    }
+
+    if (messages.length > CHAT_LIMITS.MAX_MESSAGES) {
+        return `Too many messages (max ${CHAT_LIMITS.MAX_MESSAGES})`;
+    }
+
+    for (let i = 0; i < messages.length; i++) {
+        const message = messages[i];
+
+        if (!message || typeof message !== 'object' || !ROLES.includes(message.role)) {
+            return `messages[${i}].role must be "user" or "assistant"`;
+        }
+
+        // Roles alternate, starting with the user
+        const expectedRole = i % 2 === 0 ? 'user' : 'assistant';
+        if (message.role !== expectedRole) {
+            return `messages[${i}].role must be "${expectedRole}" (roles alternate, starting with "user")`;
+        }
+
+        const contentError = validateContent(message.content, i);
+        if (contentError) return contentError;
+
+        if (contentLength(message.content) > CHAT_LIMITS.MAX_MESSAGE_CHARS) {
+            return `messages[${i}] is too long (max ${CHAT_LIMITS.MAX_MESSAGE_CHARS} characters)`;
+        }
+    }
+
+    if (messages[messages.length - 1].role !== 'user') {
+        return 'The last message must be from the user';
+    }
+
+    return null;
+}
@@ -0,0 +1,22 @@
+/**
+ * Netlify Serverless Function for /api/personas
+ * Packs are read from personas/ (bundled via included_files in netlify.toml);
+ * PERSONAS_DIR and DEFAULT_PERSONA override the folder and default id
+ */
+
+import { handlePersonasRequest, corsHeadersFor } from '../../lib/chat-proxy.js';
+
+export default async function handler(req) {
+    const corsHeaders = corsHeadersFor(req.headers.get('origin'), req.headers.get('host'));
+
+    if (req.method === 'OPTIONS') {
+        return new Response(null, { status: 204, headers: corsHeaders });
+    }
+
+    const result = handlePersonasRequest({ method: req.method });
+
+    return new Response(result.body, {
+        status: result.status,
+        headers: { ...result.headers, ...corsHeaders },
+    });
+}
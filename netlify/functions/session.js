@@ -0,0 +1,26 @@
+/**
+ * Netlify Serverless Function for /api/session
+ * Set SESSION_SECRET in Netlify environment variables to require session
+ * tokens on /api/chat (CORS_ORIGINS lists other sites allowed to call it)
+ */
+
+import { handleSessionRequest, corsHeadersFor } from '../../lib/chat-proxy.js';
+
+export default async function handler(req) {
+    const corsHeaders = corsHeadersFor(req.headers.get('origin'), req.headers.get('host'));
+
+    if (req.method === 'OPTIONS') {
+        return new Response(null, { status: 204, headers: corsHeaders });
+    }
+
+    const result = handleSessionRequest({
+        method: req.method,
+        origin: req.headers.get('origin'),
+        host: req.headers.get('host'),
+    });
+
+    return new Response(result.body, {
+        status: result.status,
+        headers: { ...result.headers, ...corsHeaders },
+    });
+}
@@ -0,0 +1,29 @@
+/**
+ * Netlify Serverless Function for token usage stats
+ * Set STATS_TOKEN in Netlify environment variables to require a bearer token
+ *
+ * Note: totals are per function instance and reset on cold starts, and the
+ * chat function counts in its own instances - so this mostly answers zeros.
+ * Stats and the token budgets are only reliable with server.js.
+ */
+
+import { handleStatsRequest, corsHeadersFor } from '../../lib/chat-proxy.js';
+
+export default async function handler(req) {
+    const corsHeaders = corsHeadersFor(req.headers.get('origin'), req.headers.get('host'));
+
+    if (req.method === 'OPTIONS') {
+        return new Response(null, { status: 204, headers: corsHeaders });
+    }
+
+    const result = handleStatsRequest({
+        method: req.method,
+        authorization: req.headers.get('authorization'),
+        statsToken: process.env.STATS_TOKEN,
+    });
+
+    return new Response(result.body, {
+        status: result.status,
+        headers: { ...result.headers, ...corsHeaders },
+    });
+}
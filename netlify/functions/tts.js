@@ -0,0 +1,34 @@
+/**
+ * Netlify Serverless Function for /api/tts (ElevenLabs)
+ * Set ELEVENLABS_API_KEY in Netlify environment variables; the key never
+ * reaches the browser. Only /tmp is writable on Netlify, so point
+ * TTS_CACHE_DIR there (e.g. /tmp/tts-cache) to cache audio per instance.
+ */
+
+import { handleTTSRequest, corsHeadersFor } from '../../lib/chat-proxy.js';
+
+export default async function handler(req, context) {
+    const corsHeaders = corsHeadersFor(req.headers.get('origin'), req.headers.get('host'));
+
+    if (req.method === 'OPTIONS') {
+        return new Response(null, { status: 204, headers: corsHeaders });
+    }
+
+    // Client IP for rate limiting, as Netlify's edge saw it (X-Forwarded-For can be set by anyone)
+    const clientIP = context.ip || 'unknown';
+
+    const result = await handleTTSRequest({
+        method: req.method,
+        clientIP,
+        rawBody: await req.text(),
+        signal: req.signal,
+        origin: req.headers.get('origin'),
+        host: req.headers.get('host'),
+        sessionToken: req.headers.get('x-session-token'),
+    });
+
+    return new Response(result.body, {
+        status: result.status,
+        headers: { ...result.headers, ...corsHeaders },
+    });
+}
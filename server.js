@@ -2,252 +2,250 @@
  * Degen Waifu - Proxy Server for Claude API
  *
  * This server handles CORS issues when calling the Anthropic API from the browser.
+ * The chat proxy itself lives in lib/chat-proxy.js (shared with the Netlify function).
  * Run with: node server.js
  *
  * Set your API key:
  *   Option 1: Environment variable - ANTHROPIC_API_KEY=sk-ant-xxx node server.js
- *   Option 2: Edit the API_KEY constant below
+ *   Option 2: Config file - copy solwaifu.config.example.json to
+ *             solwaifu.config.json and fill in llm.apiKey
+ *
+ * Settings come from defaults < config file < env vars < CLI flags
+ * (see lib/config.js). `node server.js --help` lists the flags.
+ *
+ * No key / no network? Run with a mock Sol instead:
+ *   node server.js --mock            (or MOCK_LLM=1)
+ *   MOCK_SCRIPT=replies.json node server.js --mock
  */
 
 import http from 'http';
-import https from 'https';
-import { readFileSync, existsSync } from 'fs';
-import { join, extname } from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import {
+    handleChatRequest, handleTTSRequest, handleStatsRequest, handleSessionRequest,
+    handleHealthRequest, handleReadyRequest, handleMetricsRequest, handlePersonasRequest,
+    cleanupRateLimitStore, configureProxy, corsHeadersFor
+} from './lib/chat-proxy.js';
+import { loadConfig, redactConfig, ConfigError, CLI_HELP } from './lib/config.js';
+import { PersonaPackError } from './lib/personas.js';
+import { resolveClientIP } from './lib/access.js';
+import { serveStatic } from './lib/static-files.js';
+import { logger } from './lib/logging.js';
+import { CHAT_LIMITS } from './lib/validation.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const PORT = 3000;
-
-// ============================================================
-// 🔑 PUT YOUR ANTHROPIC API KEY HERE (or use environment variable)
-// ============================================================
-const API_KEY = process.env.ANTHROPIC_API_KEY || 'YOUR_API_KEY_HERE';
-// ============================================================
-
-const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
-
 // ============================================================
-// 🛡️ RATE LIMITING CONFIG (protect your API key from abuse)
+// ⚙️ CONFIG (file + env + CLI flags, validated before anything starts)
 // ============================================================
-const RATE_LIMIT = {
-    MAX_REQUESTS_PER_MINUTE: 20,    // Max requests per IP per minute
-    MAX_REQUESTS_PER_HOUR: 100,     // Max requests per IP per hour
-};
-
-// Rate limit tracking
-const rateLimitStore = new Map();
-
-function checkRateLimit(ip) {
-    const now = Date.now();
-    const minute = 60 * 1000;
-    const hour = 60 * minute;
-
-    if (!rateLimitStore.has(ip)) {
-        rateLimitStore.set(ip, { requests: [] });
-    }
-
-    const data = rateLimitStore.get(ip);
-
-    // Clean old requests
-    data.requests = data.requests.filter(time => now - time < hour);
-
-    // Count recent requests
-    const requestsLastMinute = data.requests.filter(time => now - time < minute).length;
-    const requestsLastHour = data.requests.length;
+let config;
+try {
+    config = loadConfig({ argv: process.argv.slice(2) });
+} catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(`❌ ${error.message}\n`);
+    console.error(CLI_HELP);
+    process.exit(1);
+}
 
-    if (requestsLastMinute >= RATE_LIMIT.MAX_REQUESTS_PER_MINUTE) {
-        return { allowed: false, reason: 'Too many requests. Chill for a minute, anon~ 💜' };
-    }
+if (config.help) {
+    console.log(CLI_HELP);
+    process.exit(0);
+}
 
-    if (requestsLastHour >= RATE_LIMIT.MAX_REQUESTS_PER_HOUR) {
-        return { allowed: false, reason: 'Hourly limit reached. Come back later, bestie~' };
-    }
+const PORT = config.port;
 
-    // Record this request
-    data.requests.push(now);
-    return { allowed: true };
+// Provider, rate limiter, token budget and persona packs are set up in lib/chat-proxy.js
+try {
+    configureProxy(config);
+} catch (error) {
+    if (!(error instanceof PersonaPackError)) throw error;
+    console.error(`❌ ${error.message}\n`);
+    process.exit(1);
 }
 
 // Clean up rate limit store periodically
-setInterval(() => {
-    const hour = 60 * 60 * 1000;
-    const now = Date.now();
-    for (const [ip, data] of rateLimitStore.entries()) {
-        data.requests = data.requests.filter(time => now - time < hour);
-        if (data.requests.length === 0) {
-            rateLimitStore.delete(ip);
-        }
-    }
-}, 5 * 60 * 1000); // Clean every 5 minutes
+// (rateLimit.store = file keeps limits across restarts, see lib/rate-limit.js)
+setInterval(cleanupRateLimitStore, 5 * 60 * 1000); // Clean every 5 minutes
 
 // ============================================================
 
-// MIME types for static file serving
-const MIME_TYPES = {
-    '.html': 'text/html',
-    '.css': 'text/css',
-    '.js': 'application/javascript',
-    '.json': 'application/json',
-    '.png': 'image/png',
-    '.jpg': 'image/jpeg',
-    '.gif': 'image/gif',
-    '.svg': 'image/svg+xml',
-    '.vrm': 'application/octet-stream',
-    '.glb': 'application/octet-stream',
-    '.gltf': 'model/gltf+json'
-};
-
-// CORS headers
-const CORS_HEADERS = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Max-Age': '86400'
-};
-
-// Parse JSON body from request
-function parseBody(req) {
-    return new Promise((resolve, reject) => {
-        let body = '';
-        req.on('data', chunk => body += chunk);
-        req.on('end', () => {
-            try {
-                resolve(JSON.parse(body));
-            } catch (e) {
-                reject(new Error('Invalid JSON'));
-            }
-        });
-        req.on('error', reject);
-    });
-}
-
-// Make request to Anthropic API
-function callAnthropicAPI(apiKey, systemPrompt, messages) {
+// Read raw request body; null once it grows past maxBytes (the handler answers 413,
+// so those requests are counted and logged like any other)
+function readBody(req, maxBytes) {
     return new Promise((resolve, reject) => {
-        const requestBody = JSON.stringify({
-            model: 'claude-sonnet-4-20250514',
-            max_tokens: 1024,
-            system: systemPrompt,
-            messages: messages
-        });
+        if (parseInt(req.headers['content-length'] || '0') > maxBytes) {
+            resolve(null);
+            return;
+        }
 
-        const options = {
-            hostname: 'api.anthropic.com',
-            path: '/v1/messages',
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'x-api-key': apiKey,
-                'anthropic-version': '2023-06-01',
-                'Content-Length': Buffer.byteLength(requestBody)
+        let body = '';
+        let bytes = 0;
+        req.on('data', chunk => {
+            bytes += chunk.length;
+            if (bytes > maxBytes) {
+                req.removeAllListeners('data');
+                req.resume(); // Drain the rest without buffering it
+                resolve(null);
+                return;
             }
-        };
-
-        const req = https.request(options, (res) => {
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => {
-                try {
-                    const response = JSON.parse(data);
-                    if (res.statusCode >= 400) {
-                        reject(new Error(response.error?.message || 'API error'));
-                    } else {
-                        resolve(response);
-                    }
-                } catch (e) {
-                    reject(new Error('Invalid API response'));
-                }
-            });
+            body += chunk;
         });
-
+        req.on('end', () => resolve(body));
         req.on('error', reject);
-        req.write(requestBody);
-        req.end();
     });
 }
 
-// Serve static files
-function serveStaticFile(res, filePath) {
-    const fullPath = join(__dirname, filePath);
-
-    if (!existsSync(fullPath)) {
-        res.writeHead(404, { 'Content-Type': 'text/plain', ...CORS_HEADERS });
-        res.end('File not found');
-        return;
-    }
-
-    const ext = extname(fullPath);
-    const contentType = MIME_TYPES[ext] || 'application/octet-stream';
-
-    try {
-        const content = readFileSync(fullPath);
-        res.writeHead(200, { 'Content-Type': contentType, ...CORS_HEADERS });
-        res.end(content);
-    } catch (error) {
-        res.writeHead(500, { 'Content-Type': 'text/plain', ...CORS_HEADERS });
-        res.end('Server error');
-    }
-}
-
 // Create HTTP server
 const server = http.createServer(async (req, res) => {
     const url = new URL(req.url, `http://localhost:${PORT}`);
 
+    // CORS headers (only allowlisted origins get Access-Control-Allow-Origin)
+    const corsHeaders = corsHeadersFor(req.headers.origin, req.headers.host);
+
     // Handle CORS preflight
     if (req.method === 'OPTIONS') {
-        res.writeHead(204, CORS_HEADERS);
+        res.writeHead(204, corsHeaders);
         res.end();
         return;
     }
 
     // API endpoint for chat
-    if (url.pathname === '/api/chat' && req.method === 'POST') {
+    if (url.pathname === '/api/chat') {
         try {
-            // Get client IP for rate limiting
-            const clientIP = req.headers['x-forwarded-for']?.split(',')[0] ||
-                           req.socket.remoteAddress || 'unknown';
-
-            // Check rate limit
-            const rateCheck = checkRateLimit(clientIP);
-            if (!rateCheck.allowed) {
-                res.writeHead(429, { 'Content-Type': 'application/json', ...CORS_HEADERS });
-                res.end(JSON.stringify({ error: rateCheck.reason }));
-                return;
-            }
+            // Get client IP for rate limiting (X-Forwarded-For only behind trustProxy proxies)
+            const clientIP = resolveClientIP(req.headers['x-forwarded-for'], req.socket.remoteAddress, config.trustProxy);
+
+            const abortController = new AbortController();
+            res.on('close', () => abortController.abort());
+
+            const rawBody = await readBody(req, CHAT_LIMITS.MAX_BODY_BYTES);
+            const result = await handleChatRequest({
+                method: req.method,
+                clientIP,
+                rawBody: rawBody ?? '',
+                bodyTooLarge: rawBody === null,
+                signal: abortController.signal,
+                origin: req.headers.origin,
+                host: req.headers.host,
+                sessionToken: req.headers['x-session-token']
+            });
 
-            const body = await parseBody(req);
-            const { systemPrompt, messages } = body;
+            res.writeHead(result.status, { ...result.headers, ...corsHeaders });
 
-            // Use server's API key (ignore client-provided key for security)
-            if (!API_KEY || API_KEY === 'YOUR_API_KEY_HERE') {
-                res.writeHead(500, { 'Content-Type': 'application/json', ...CORS_HEADERS });
-                res.end(JSON.stringify({ error: 'Server API key not configured. Edit server.js to add your key.' }));
-                return;
+            if (result.stream) {
+                for await (const chunk of result.stream) {
+                    res.write(chunk);
+                }
+                res.end();
+            } else {
+                res.end(result.body);
             }
 
-            const response = await callAnthropicAPI(API_KEY, systemPrompt, messages);
+        } catch (error) {
+            logger.error('request_failed', { route: 'chat', error: error.message });
+            if (res.headersSent) {
+                res.end();
+                return;
+            }
+            res.writeHead(error.status || 500, { 'Content-Type': 'application/json', ...corsHeaders });
+            res.end(JSON.stringify({ error: error.message }));
+        }
+        return;
+    }
 
-            res.writeHead(200, { 'Content-Type': 'application/json', ...CORS_HEADERS });
-            res.end(JSON.stringify(response));
+    // Sol's voice (ElevenLabs key stays on the server)
+    if (url.pathname === '/api/tts') {
+        try {
+            const clientIP = resolveClientIP(req.headers['x-forwarded-for'], req.socket.remoteAddress, config.trustProxy);
+
+            const abortController = new AbortController();
+            res.on('close', () => abortController.abort());
+
+            const rawBody = await readBody(req, CHAT_LIMITS.MAX_BODY_BYTES);
+            const result = await handleTTSRequest({
+                method: req.method,
+                clientIP,
+                rawBody: rawBody ?? '',
+                bodyTooLarge: rawBody === null,
+                signal: abortController.signal,
+                origin: req.headers.origin,
+                host: req.headers.host,
+                sessionToken: req.headers['x-session-token']
+            });
 
+            res.writeHead(result.status, { ...result.headers, ...corsHeaders });
+            res.end(result.body);
         } catch (error) {
-            console.error('API Error:', error.message);
-            res.writeHead(500, { 'Content-Type': 'application/json', ...CORS_HEADERS });
+            logger.error('request_failed', { route: 'tts', error: error.message });
+            if (!res.headersSent) {
+                res.writeHead(error.status || 500, { 'Content-Type': 'application/json', ...corsHeaders });
+            }
             res.end(JSON.stringify({ error: error.message }));
         }
         return;
     }
 
+    // Session token for /api/chat (fetched when the page loads)
+    if (url.pathname === '/api/session') {
+        const result = handleSessionRequest({
+            method: req.method,
+            origin: req.headers.origin,
+            host: req.headers.host
+        });
+        res.writeHead(result.status, { ...result.headers, ...corsHeaders });
+        res.end(result.body);
+        return;
+    }
+
+    // Persona packs the page can switch between (prompts stay here)
+    if (url.pathname === '/api/personas') {
+        const result = handlePersonasRequest({ method: req.method });
+        res.writeHead(result.status, { ...result.headers, ...corsHeaders });
+        res.end(result.body);
+        return;
+    }
+
+    // Token usage and cost stats
+    if (url.pathname === '/api/stats') {
+        const result = handleStatsRequest({
+            method: req.method,
+            authorization: req.headers.authorization,
+            statsToken: config.statsToken
+        });
+        res.writeHead(result.status, { ...result.headers, ...corsHeaders });
+        res.end(result.body);
+        return;
+    }
+
+    // Monitoring: liveness, readiness (key + provider reachable) and Prometheus metrics
+    if (url.pathname === '/healthz' || url.pathname === '/readyz' || url.pathname === '/metrics') {
+        let result;
+        if (url.pathname === '/healthz') {
+            result = handleHealthRequest();
+        } else if (url.pathname === '/readyz') {
+            result = await handleReadyRequest();
+        } else {
+            result = handleMetricsRequest({
+                method: req.method,
+                authorization: req.headers.authorization,
+                statsToken: config.statsToken
+            });
+        }
+        res.writeHead(result.status, result.headers);
+        res.end(req.method === 'HEAD' ? undefined : result.body);
+        return;
+    }
+
     // Serve static files
     let filePath = url.pathname;
     if (filePath === '/') {
         filePath = '/index.html';
     }
 
-    serveStaticFile(res, filePath);
+    // Traversal/dotfile-safe, streamed, cached and range-aware (see lib/static-files.js)
+    await serveStatic(req, res, filePath, { root: __dirname, headers: corsHeaders });
 });
 
 // Start server
@@ -264,12 +262,22 @@ server.listen(PORT, () => {
 ║                                                       ║
 ╚═══════════════════════════════════════════════════════╝
     `);
+    if (config.mock) {
+        console.log('🧪 Mock mode: replies are canned, no API key or network used\n');
+    }
+    if (config.logging.audit) {
+        const kept = config.logging.retentionDays > 0 ? `kept ${config.logging.retentionDays} days` : 'kept forever';
+        console.log(`📝 Audit log on: conversations go to ${config.logging.dir} (${kept})\n`);
+    }
+    console.log(`⚙️  Effective config${config.configFile ? ` (from ${config.configFile})` : ''}:`);
+    const { configFile, help, ...settings } = redactConfig(config);
+    console.log(JSON.stringify(settings, null, 2) + '\n');
 });
 
 // Handle server errors
 server.on('error', (error) => {
     if (error.code === 'EADDRINUSE') {
-        console.error(`❌ Port ${PORT} is already in use. Try a different port.`);
+        console.error(`❌ Port ${PORT} is already in use. Try a different one with --port <n>.`);
     } else {
         console.error('Server error:', error);
     }
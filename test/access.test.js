@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { hasBearerToken, resolveClientIP } from '../lib/access.js';
+
+test('ignores X-Forwarded-For unless proxies are trusted', () => {
+    assert.equal(resolveClientIP('1.2.3.4', '10.0.0.5'), '10.0.0.5');
+    assert.equal(resolveClientIP('1.2.3.4', '10.0.0.5', 0), '10.0.0.5');
+    assert.equal(resolveClientIP(undefined, undefined), 'unknown');
+});
+
+test('takes the address the outermost trusted proxy saw', () => {
+    // Client spoofed "6.6.6.6"; our one proxy appended the real address
+    assert.equal(resolveClientIP('6.6.6.6, 1.2.3.4', '10.0.0.5', 1), '1.2.3.4');
+    assert.equal(resolveClientIP('6.6.6.6, 1.2.3.4, 10.0.0.9', '10.0.0.5', 2), '1.2.3.4');
+    assert.equal(resolveClientIP('1.2.3.4', '10.0.0.5', 3), '1.2.3.4');
+    assert.equal(resolveClientIP('', '10.0.0.5', 1), '10.0.0.5');
+});
+
+test('bearer tokens must match exactly', () => {
+    assert.equal(hasBearerToken('Bearer s3cret', 's3cret'), true);
+    assert.equal(hasBearerToken('Bearer s3cre', 's3cret'), false);
+    assert.equal(hasBearerToken('Bearer s3cret ', 's3cret'), false);
+    assert.equal(hasBearerToken('s3cret', 's3cret'), false);
+    assert.equal(hasBearerToken(undefined, 's3cret'), false);
+    assert.equal(hasBearerToken(null, 's3cret'), false);
+});
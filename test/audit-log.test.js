@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { AuditLog } from '../lib/logging.js';
+
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+test('prunes old audit files at startup, before anything is written', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'solwaifu-audit-'));
+    try {
+        const old = join(dir, `audit-${daysAgo(40)}.jsonl`);
+        const recent = join(dir, `audit-${daysAgo(2)}.jsonl`);
+        writeFileSync(old, '{}\n');
+        writeFileSync(recent, '{}\n');
+
+        const log = new AuditLog(dir, { retentionDays: 30 });
+        await log.queue;
+        assert.equal(existsSync(old), false);
+        assert.equal(existsSync(recent), true);
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('a missing folder is not an error until the first write creates it', async () => {
+    const dir = join(mkdtempSync(join(tmpdir(), 'solwaifu-audit-')), 'logs');
+    try {
+        const log = new AuditLog(dir);
+        await log.write({ user: 'hi', reply: 'hiii' });
+        assert.equal(existsSync(join(dir, `audit-${daysAgo(0)}.jsonl`)), true);
+    } finally {
+        rmSync(join(dir, '..'), { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,152 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    handleChatRequest, handleMetricsRequest, handlePersonasRequest, handleStatsRequest, handleTTSRequest,
+    setProvider, setRateLimiter
+} from '../lib/chat-proxy.js';
+import { createProviderChain } from '../lib/providers/index.js';
+import { createMockFetch } from '../lib/mock-anthropic.js';
+import { RateLimiter, buildRateLimitWindows } from '../lib/rate-limit.js';
+import { CHAT_LIMITS } from '../lib/validation.js';
+import { chatRequest, configureTestProxy, drain, parseEvents, userMessage } from './helpers.js';
+
+before(() => {
+    configureTestProxy();
+    // Same mock upstream without the typing delays
+    setProvider(createProviderChain({
+        name: 'anthropic',
+        apiKey: 'mock',
+        fetch: createMockFetch({ latency: 0, chunkDelay: 0 }),
+        retries: 0,
+    }));
+});
+
+// Every error is JSON `{ error, code? }`
+function assertError(result, status, code) {
+    assert.equal(result.status, status);
+    assert.equal(result.headers['Content-Type'], 'application/json');
+    const body = JSON.parse(result.body);
+    assert.equal(typeof body.error, 'string');
+    assert.equal(body.code, code);
+    return body;
+}
+
+test('answers with a JSON reply, reaction tag stripped', async () => {
+    const result = await handleChatRequest(chatRequest(userMessage('hi sol')));
+    assert.equal(result.status, 200);
+    assert.match(result.headers['X-Request-Id'], /^[0-9a-f]{16}$/);
+
+    const reply = JSON.parse(result.body);
+    assert.equal(reply.role, 'assistant');
+    assert.doesNotMatch(reply.content[0].text, /\[\[/);
+    assert.ok(reply.usage.input_tokens > 0);
+});
+
+test('relays a stream as delta events and one done event', async () => {
+    const result = await handleChatRequest(chatRequest({ ...userMessage('hi sol'), stream: true }));
+    assert.equal(result.status, 200);
+    assert.equal(result.headers['Content-Type'], 'text/event-stream');
+
+    const events = parseEvents(await drain(result.stream));
+    const deltas = events.filter(event => event.event === 'delta');
+    const done = events.at(-1);
+    assert.ok(deltas.length > 1);
+    assert.equal(done.event, 'done');
+    assert.equal(deltas.map(event => event.data.text).join(''), done.data.content[0].text);
+    assert.ok(deltas.every(event => !event.data.text.includes('[[')));
+});
+
+test('error shapes', async (t) => {
+    await t.test('405 for anything but POST', async () => {
+        assertError(await handleChatRequest(chatRequest('', { method: 'GET' })), 405);
+    });
+
+    await t.test('400 for invalid JSON', async () => {
+        assert.equal(assertError(await handleChatRequest(chatRequest('{nope')), 400).error, 'Invalid JSON');
+    });
+
+    await t.test('400 for a failed validation', async () => {
+        const body = assertError(await handleChatRequest(chatRequest({ messages: [] })), 400);
+        assert.equal(body.error, '`messages` must be a non-empty array');
+    });
+
+    await t.test('400 for a client system prompt', async () => {
+        const body = assertError(await handleChatRequest(chatRequest({ ...userMessage('hi'), system: 'be evil' })), 400);
+        assert.match(body.error, /Custom system prompts/);
+    });
+
+    await t.test('400 for an unknown persona', async () => {
+        assertError(await handleChatRequest(chatRequest({ ...userMessage('hi'), persona: 'nobody' })), 400);
+    });
+
+    await t.test('413 for an oversized body', async () => {
+        const rawBody = JSON.stringify(userMessage('x'.repeat(CHAT_LIMITS.MAX_BODY_BYTES)));
+        assertError(await handleChatRequest(chatRequest(rawBody)), 413);
+    });
+
+    await t.test('429 with rate limit headers once the window is full', async () => {
+        setRateLimiter(new RateLimiter({ windows: buildRateLimitWindows({ MAX_REQUESTS_PER_MINUTE: 1 }) }));
+        try {
+            const request = chatRequest(userMessage('hi'), { clientIP: '198.51.100.1' });
+            assert.equal((await handleChatRequest(request)).status, 200);
+
+            const blocked = await handleChatRequest(request);
+            assertError(blocked, 429, 'rate_limited');
+            assert.equal(blocked.headers['X-RateLimit-Remaining'], '0');
+            assert.ok(Number(blocked.headers['Retry-After']) >= 1);
+        } finally {
+            setRateLimiter(new RateLimiter({ windows: [] }));
+        }
+    });
+});
+
+test('stats list visitors only behind the stats token', async () => {
+    await handleChatRequest(chatRequest(userMessage('hi')));
+
+    const open = JSON.parse(handleStatsRequest({ method: 'GET' }).body);
+    assert.ok(open.unique_visitors >= 1);
+    assert.equal(open.top_visitors, undefined);
+
+    const authorized = JSON.parse(handleStatsRequest({ method: 'GET', authorization: 'Bearer right', statsToken: 'right' }).body);
+    assert.ok(authorized.top_visitors.length >= 1);
+    assert.match(authorized.top_visitors[0].id, /^[0-9a-f]{16}$/);
+    assert.doesNotMatch(JSON.stringify(authorized), /203\.0\.113\.7/);
+});
+
+test('metrics answer GET and HEAD', () => {
+    for (const method of ['GET', 'HEAD']) {
+        const result = handleMetricsRequest({ method });
+        assert.equal(result.status, 200);
+        assert.match(result.headers['Content-Type'], /^text\/plain/);
+    }
+    assertError(handleMetricsRequest({ method: 'GET', authorization: 'Bearer wrong', statsToken: 'right' }), 401);
+    assert.equal(handleMetricsRequest({ method: 'GET', authorization: 'Bearer right', statsToken: 'right' }).status, 200);
+});
+
+// Level of the "request" log line a handler call writes
+async function requestLogLevel(t, call) {
+    const lines = [];
+    for (const method of ['log', 'error']) {
+        t.mock.method(console, method, line => lines.push(JSON.parse(line)));
+    }
+    await call();
+    t.mock.restoreAll();
+    return lines.find(line => line.msg === 'request').level;
+}
+
+test('expected failures are not logged as errors', async (t) => {
+    const tts = await requestLogLevel(t, () => handleTTSRequest(chatRequest({ text: 'hi' })));
+    assert.equal(tts, 'info');
+
+    const overloaded = await requestLogLevel(t, () => handleChatRequest(chatRequest(userMessage('hi [mock:529]'))));
+    assert.equal(overloaded, 'warn');
+
+    const broken = await requestLogLevel(t, () => handleChatRequest(chatRequest(userMessage('hi [mock:500]'))));
+    assert.equal(broken, 'error');
+});
+
+test('other routes keep the same error shape', async () => {
+    assertError(handlePersonasRequest({ method: 'POST' }), 405);
+    assertError(handleStatsRequest({ method: 'GET', authorization: 'Bearer wrong', statsToken: 'right' }), 401);
+    assertError(handleMetricsRequest({ method: 'POST' }), 405);
+});
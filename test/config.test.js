@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { ConfigError, loadConfig, parseArgs, parseYAML, redactConfig } from '../lib/config.js';
+
+const KEYS = { ANTHROPIC_API_KEY: 'sk-ant-secret', OPENAI_API_KEY: 'sk-openai' };
+
+// loadConfig() in a temp folder holding `files` ({ name: contents })
+function loadIn(files, options = {}) {
+    const cwd = mkdtempSync(join(tmpdir(), 'solwaifu-config-'));
+    try {
+        for (const [name, contents] of Object.entries(files)) writeFileSync(join(cwd, name), contents);
+        return loadConfig({ env: {}, ...options, cwd });
+    } finally {
+        rmSync(cwd, { recursive: true, force: true });
+    }
+}
+
+test('the API key belongs to the provider picked by any source', async (t) => {
+    await t.test('--provider openai', () => {
+        const config = loadIn({}, { argv: ['--provider', 'openai'], env: { ...KEYS, LLM_BASE_URL: 'http://third.party/v1' } });
+        assert.equal(config.llm.provider, 'openai');
+        assert.equal(config.llm.apiKey, 'sk-openai');
+    });
+
+    await t.test('provider from the config file', () => {
+        const config = loadIn({ 'solwaifu.config.json': JSON.stringify({ llm: { provider: 'openai' } }) }, { env: KEYS });
+        assert.equal(config.llm.apiKey, 'sk-openai');
+    });
+
+    await t.test('ollama gets no key', () => {
+        assert.equal(loadIn({}, { argv: ['--provider=ollama'], env: KEYS }).llm.apiKey, null);
+    });
+
+    await t.test('anthropic by default', () => {
+        assert.equal(loadIn({}, { env: KEYS }).llm.apiKey, 'sk-ant-secret');
+    });
+
+    await t.test('an explicit key wins', () => {
+        assert.equal(loadIn({}, { argv: ['--provider', 'openai'], env: { ...KEYS, LLM_API_KEY: 'sk-mine' } }).llm.apiKey, 'sk-mine');
+        const file = { 'solwaifu.config.json': JSON.stringify({ llm: { provider: 'openai', apiKey: 'sk-file' } }) };
+        assert.equal(loadIn(file, { env: KEYS }).llm.apiKey, 'sk-file');
+    });
+});
+
+test('defaults < config file < environment < CLI flags', () => {
+    const file = { 'solwaifu.config.json': JSON.stringify({ port: 4000, llm: { model: 'file-model', maxTokens: 512 } }) };
+    assert.equal(loadIn(file).port, 4000);
+    assert.equal(loadIn(file, { env: { PORT: '5000' } }).port, 5000);
+
+    const config = loadIn(file, { argv: ['--port', '6000', '--model', 'cli-model'], env: { PORT: '5000', LLM_MODEL: 'env-model' } });
+    assert.equal(config.port, 6000);
+    assert.equal(config.llm.model, 'cli-model');
+    assert.equal(config.llm.maxTokens, 512);
+    assert.equal(config.llm.retries, 2);
+});
+
+test('reads the YAML subset config files use', () => {
+    assert.deepEqual(parseYAML([
+        '# comment',
+        'port: 4000',
+        'mock: true',
+        'llm:',
+        '  provider: "openai"   # inline comment',
+        "  model: 'it''s'",
+        '  baseUrl: http://localhost:8080/v1',
+        '  fallbackModels:',
+        '  - small',
+        '  - "tiny #1"',
+        'cors:',
+        '  allowedOrigins: [https://a.example, https://b.example]',
+        'statsToken: ~',
+        'budget:',
+        '  dailyGlobalTokens: 2_000_000',
+    ].join('\n')), {
+        port: 4000,
+        mock: true,
+        llm: { provider: 'openai', model: "it's", baseUrl: 'http://localhost:8080/v1', fallbackModels: ['small', 'tiny #1'] },
+        cors: { allowedOrigins: ['https://a.example', 'https://b.example'] },
+        statsToken: null,
+        budget: { dailyGlobalTokens: 2000000 },
+    });
+
+    assert.throws(() => parseYAML('just text'), /line 1: expected "key: value"/);
+    assert.throws(() => parseYAML('- item'), /line 1: list item outside a list/);
+});
+
+test('loads YAML files', () => {
+    const config = loadIn({ 'solwaifu.config.yaml': 'llm:\n  provider: openai\n  maxTokens: 256\n' }, { env: KEYS });
+    assert.equal(config.llm.maxTokens, 256);
+    assert.equal(config.llm.apiKey, 'sk-openai');
+    assert.match(config.configFile, /solwaifu\.config\.yaml$/);
+});
+
+test('collects every problem into one ConfigError', () => {
+    const file = { 'solwaifu.config.json': JSON.stringify({ port: 0, llm: { provider: 'nope', maxToken: 1 } }) };
+    assert.throws(() => loadIn(file), error => {
+        assert.ok(error instanceof ConfigError);
+        assert.ok(error.problems.includes('unknown setting "llm.maxToken"'));
+        assert.ok(error.problems.some(problem => problem.startsWith('port must be')));
+        assert.ok(error.problems.some(problem => problem.startsWith('llm.provider must be')));
+        return true;
+    });
+    assert.throws(() => loadIn({}, { argv: ['--config', 'missing.json'] }), /config file not found/);
+    assert.throws(() => loadIn({ 'solwaifu.config.json': '{nope' }), ConfigError);
+});
+
+test('parses flags and rejects unknown ones', () => {
+    assert.deepEqual(parseArgs(['--port=8080', '--mock', '--provider', 'ollama']), { port: '8080', mock: true, provider: 'ollama' });
+    assert.throws(() => parseArgs(['--nope']), /unknown flag --nope/);
+    assert.throws(() => parseArgs(['--port']), /--port needs a value/);
+});
+
+test('redacts secrets for printing', () => {
+    const config = loadIn({}, { env: { ...KEYS, STATS_TOKEN: 'stats-secret' } });
+    const printed = JSON.stringify(redactConfig(config));
+    assert.doesNotMatch(printed, /sk-ant-secret|stats-secret/);
+    assert.equal(config.llm.apiKey, 'sk-ant-secret');
+});
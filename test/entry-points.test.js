@@ -0,0 +1,83 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import netlifyChat from '../netlify/functions/chat.js';
+import { CHAT_LIMITS } from '../lib/validation.js';
+import { configureTestProxy, parseEvents, startServer, userMessage } from './helpers.js';
+
+// Both entry points get the same requests and must answer the same way
+let server;
+const entryPoints = {
+    'server.js': (init) => fetch(`${server.url}/api/chat`, init),
+    'netlify function': (init) => netlifyChat(new Request('http://localhost/api/chat', init), { ip: '203.0.113.9' }),
+};
+
+before(async () => {
+    configureTestProxy();
+    server = await startServer();
+});
+
+after(() => server?.stop());
+
+function post(body) {
+    return {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: typeof body === 'string' ? body : JSON.stringify(body),
+    };
+}
+
+for (const [name, send] of Object.entries(entryPoints)) {
+    test(`${name}: JSON reply`, async () => {
+        const response = await send(post(userMessage('hi sol')));
+        assert.equal(response.status, 200);
+        assert.ok(response.headers.get('x-request-id'));
+
+        const reply = await response.json();
+        assert.equal(reply.role, 'assistant');
+        assert.ok(reply.content[0].text);
+    });
+
+    test(`${name}: streamed reply as Server-Sent Events`, async () => {
+        const response = await send(post({ ...userMessage('hi sol'), stream: true }));
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('content-type'), 'text/event-stream');
+
+        const events = parseEvents(await response.text());
+        const done = events.at(-1);
+        assert.equal(done.event, 'done');
+        assert.equal(events.filter(event => event.event === 'delta').map(event => event.data.text).join(''), done.data.content[0].text);
+    });
+
+    test(`${name}: validation errors`, async () => {
+        const response = await send(post({ messages: [{ role: 'assistant', content: 'hi' }] }));
+        assert.equal(response.status, 400);
+        assert.deepEqual(Object.keys(await response.json()), ['error']);
+
+        const invalid = await send(post('{nope'));
+        assert.equal(invalid.status, 400);
+        assert.deepEqual(await invalid.json(), { error: 'Invalid JSON' });
+    });
+
+    test(`${name}: 405 for GET`, async () => {
+        const response = await send({ method: 'GET' });
+        assert.equal(response.status, 405);
+        assert.deepEqual(await response.json(), { error: 'Method not allowed' });
+    });
+
+    test(`${name}: CORS preflight`, async () => {
+        const response = await send({ method: 'OPTIONS' });
+        assert.equal(response.status, 204);
+        assert.match(response.headers.get('access-control-allow-methods'), /POST/);
+    });
+}
+
+test('server.js: oversized bodies are answered 413 and counted like any other request', async () => {
+    const response = await fetch(`${server.url}/api/chat`, post(userMessage('x'.repeat(CHAT_LIMITS.MAX_BODY_BYTES))));
+    assert.equal(response.status, 413);
+    assert.ok(response.headers.get('x-request-id'));
+    assert.match((await response.json()).error, /too large/);
+
+    const metrics = await (await fetch(`${server.url}/metrics`)).text();
+    assert.match(metrics, /solwaifu_http_requests_total\{route="chat",status="413"\} 1/);
+    assert.match(server.output(), /"route":"chat","status":413/);
+});
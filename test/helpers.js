@@ -0,0 +1,119 @@
+/**
+ * Test helpers - a mock-mode proxy in this process, or server.js in a child one
+ */
+
+import { spawn } from 'child_process';
+import { createServer } from 'net';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+import { configureProxy } from '../lib/chat-proxy.js';
+import { loadConfig } from '../lib/config.js';
+import { parseSSEEvents } from '../lib/streams.js';
+
+export const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+// Mock upstream, no limits, no waiting between retries; `env` overrides any of it
+export const TEST_ENV = {
+    MOCK_LLM: '1',
+    PERSONAS_DIR: `${ROOT}personas`,
+    RATE_LIMIT_PER_MINUTE: '0',
+    RATE_LIMIT_PER_HOUR: '0',
+    RATE_LIMIT_PER_DAY: '0',
+    LLM_RETRY_DELAY_MS: '0',
+    MEMORY_ENABLED: 'false',
+};
+
+/**
+ * Configure lib/chat-proxy.js for this test file. No config file is read
+ * (the lookup runs in the temp folder).
+ */
+export function configureTestProxy(env = {}) {
+    const config = loadConfig({ env: { ...TEST_ENV, ...env }, cwd: tmpdir() });
+    configureProxy(config);
+    return config;
+}
+
+// Request fields handleChatRequest expects, with a JSON body
+export function chatRequest(body, fields = {}) {
+    return {
+        method: 'POST',
+        clientIP: '203.0.113.7',
+        rawBody: typeof body === 'string' ? body : JSON.stringify(body),
+        ...fields,
+    };
+}
+
+export function userMessage(text) {
+    return { messages: [{ role: 'user', content: text }] };
+}
+
+// Collect a handler result's stream into one string
+export async function drain(stream) {
+    let text = '';
+    for await (const chunk of stream) text += chunk;
+    return text;
+}
+
+// "event: x\ndata: {...}\n\n" blocks -> [{ event, data }]
+export function parseEvents(text) {
+    const events = [];
+    for (const block of text.split('\n\n')) {
+        const event = block.match(/^event: (.+)$/m)?.[1];
+        if (!event) continue;
+        parseSSEEvents(`${block}\n\n`, data => events.push({ event, data }));
+    }
+    return events;
+}
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = createServer();
+        server.unref();
+        server.on('error', reject);
+        server.listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Run `node server.js --mock` on a free port until stop() is called.
+ * @returns {Promise<{url: string, stop: Function, output: Function}>}
+ */
+export async function startServer(env = {}) {
+    const port = await freePort();
+    const child = spawn(process.execPath, ['server.js', '--mock', '--port', String(port)], {
+        cwd: ROOT,
+        env: { ...process.env, ...TEST_ENV, ...env },
+        stdio: ['ignore', 'pipe', 'pipe'],
+    });
+
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`server.js did not start:\n${output}`)), 10000);
+        child.stdout.on('data', () => {
+            if (output.includes('Server Running')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.on('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`server.js exited with ${code}:\n${output}`));
+        });
+    });
+
+    return {
+        url: `http://127.0.0.1:${port}`,
+        output: () => output,
+        stop: () => new Promise(resolve => {
+            if (child.exitCode !== null) return resolve();
+            child.once('exit', resolve);
+            child.kill();
+        }),
+    };
+}
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { FileRateLimitStore, MemoryRateLimitStore, RateLimiter, buildRateLimitWindows } from '../lib/rate-limit.js';
+
+const windows = buildRateLimitWindows({ MAX_REQUESTS_PER_MINUTE: 2, MAX_REQUESTS_PER_HOUR: 10 });
+
+async function allowedOf(limiter, count) {
+    const results = await Promise.all(Array.from({ length: count }, () => limiter.check('203.0.113.7')));
+    return results.filter(result => result.allowed).length;
+}
+
+test('memory store: parallel requests cannot pass the limit together', async () => {
+    const limiter = new RateLimiter({ store: new MemoryRateLimitStore(), windows });
+    assert.equal(await allowedOf(limiter, 6), 2);
+});
+
+test('file store: parallel requests cannot pass the limit together', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'solwaifu-rate-'));
+    try {
+        const limiter = new RateLimiter({ store: new FileRateLimitStore(join(dir, 'limits.json')), windows });
+        assert.equal(await allowedOf(limiter, 6), 2);
+        limiter.store.flush();
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('blocked requests are not counted and headers count down', async () => {
+    const limiter = new RateLimiter({ store: new MemoryRateLimitStore(), windows });
+    const first = await limiter.check('a');
+    assert.equal(first.headers['X-RateLimit-Remaining'], '1');
+    await limiter.check('a');
+
+    const blocked = await limiter.check('a');
+    assert.equal(blocked.allowed, false);
+    assert.equal(blocked.headers['X-RateLimit-Remaining'], '0');
+    assert.equal((await limiter.store.take('a', Date.now(), [], 60000)).length, 2);
+});
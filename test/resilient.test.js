@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ResilientProvider } from '../lib/providers/resilient.js';
+import { ProxyError } from '../lib/errors.js';
+
+// Client signal that counts its abort listeners
+function countingSignal() {
+    const controller = new AbortController();
+    const { signal } = controller;
+    let listeners = 0;
+    const add = signal.addEventListener.bind(signal);
+    const remove = signal.removeEventListener.bind(signal);
+    signal.addEventListener = (...args) => { listeners++; add(...args); };
+    signal.removeEventListener = (...args) => { listeners--; remove(...args); };
+    return { controller, signal, listeners: () => listeners };
+}
+
+const overloaded = () => Object.assign(new ProxyError(502, 'Overloaded'), { upstreamStatus: 529 });
+
+test('retries leave no listeners on the client signal', async () => {
+    const client = countingSignal();
+    let calls = 0;
+    const provider = new ResilientProvider([{
+        model: 'main-model',
+        complete: async () => {
+            if (++calls < 3) throw overloaded();
+            return { content: [{ type: 'text', text: 'hi' }] };
+        },
+    }], { retries: 2, retryBaseDelayMs: 0 });
+
+    await provider.complete({ messages: [], signal: client.signal });
+    assert.equal(calls, 3);
+    assert.equal(client.listeners(), 0);
+});
+
+test('a client abort still reaches an open stream, and the listener goes when it ends', async () => {
+    const client = countingSignal();
+    let upstreamSignal = null;
+    const provider = new ResilientProvider([{
+        model: 'main-model',
+        stream: async ({ signal }) => {
+            upstreamSignal = signal;
+            return (async function* () {
+                yield { type: 'delta', text: 'hi' };
+                yield { type: 'done', message: {} };
+            })();
+        },
+    }], { retries: 0 });
+
+    const events = await provider.stream({ messages: [], signal: client.signal });
+    client.controller.abort();
+    assert.equal(upstreamSignal.aborted, true);
+
+    for await (const event of events) assert.ok(event.type);
+    assert.equal(client.listeners(), 0);
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { resolveStaticPath } from '../lib/static-files.js';
+import { validatePersonaPack } from '../lib/personas.js';
+import { ROOT } from './helpers.js';
+
+test('keeps server code, config and persona packs private', () => {
+    for (const path of [
+        '/server.js', '/lib/config.js', '/test/helpers.js', '/solwaifu.config.json', '/.env', '/js/../lib/usage.js',
+        '/personas/sol/prompt.md', '/personas/sol/persona.json', '/personas/sol/', '/personas/sol/assets',
+        '/personas/sol/notes/assets/x.png', '/personas/sol/assets/../prompt.md', '/personas/sol/assets/%2e%2e/prompt.md',
+    ]) {
+        assert.equal(resolveStaticPath(ROOT, path), null, path);
+    }
+});
+
+test("serves the site and each persona pack's assets folder", () => {
+    assert.equal(resolveStaticPath(ROOT, '/js/chat.js'), join(ROOT, 'js', 'chat.js'));
+    assert.equal(resolveStaticPath(ROOT, '/personas/sol/assets/sol.vrm'), join(ROOT, 'personas', 'sol', 'assets', 'sol.vrm'));
+    assert.equal(resolveStaticPath(ROOT, '/personas/sol/assets/outfits/hoodie.vrm'), join(ROOT, 'personas', 'sol', 'assets', 'outfits', 'hoodie.vrm'));
+});
+
+test('a pack prompt can not live in the public assets folder', () => {
+    const pack = JSON.parse(readFileSync(join(ROOT, 'personas', 'sol', 'persona.json'), 'utf8'));
+    const problems = validatePersonaPack({ ...pack, systemPromptFile: 'assets/prompt.md' }, 'sol');
+    assert.ok(problems.some(problem => problem.includes("can't be in assets/")), problems.join('\n'));
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TRANSCRIPT_FORMAT, parseTranscript } from '../js/transcript.js';
+import { EMOTIONS, GESTURES } from '../lib/reactions.js';
+
+function transcriptWith(reaction) {
+    return JSON.stringify({
+        format: TRANSCRIPT_FORMAT,
+        version: 1,
+        persona: 'sol',
+        messages: [
+            { role: 'user', content: 'hi sol', reaction: { emotion: 'happy', intensity: 0.5, gesture: 'none' } },
+            { role: 'assistant', content: 'hiii 👀', reaction },
+        ],
+    });
+}
+
+const reactionOf = reaction => parseTranscript(transcriptWith(reaction)).messages[1].reaction;
+
+test('keeps reactions the server could have sent', () => {
+    for (const emotion of EMOTIONS) {
+        for (const gesture of GESTURES) {
+            assert.deepEqual(reactionOf({ emotion, intensity: 0.7, gesture, love: 2 }), { emotion, intensity: 0.7, gesture, love: 2 });
+        }
+    }
+    assert.deepEqual(reactionOf({ emotion: 'shy', intensity: 0, gesture: 'giggle', love: 99, extra: '<script>' }), { emotion: 'shy', intensity: 0, gesture: 'giggle' });
+});
+
+test('drops reactions that are not', () => {
+    const invalid = [
+        'happy',
+        { emotion: 'evil', intensity: 0.5, gesture: 'none' },
+        { emotion: 'happy', intensity: 1.5, gesture: 'none' },
+        { emotion: 'happy', intensity: '0.5', gesture: 'none' },
+        { emotion: 'happy', intensity: NaN, gesture: 'none' },
+        { emotion: 'happy', intensity: 0.5, gesture: 'backflip' },
+        { emotion: 'happy', intensity: 0.5 },
+    ];
+    for (const reaction of invalid) {
+        assert.equal(reactionOf(reaction), undefined, JSON.stringify(reaction));
+    }
+});
+
+test('only her replies keep a reaction', () => {
+    assert.equal(parseTranscript(transcriptWith(null)).messages[0].reaction, undefined);
+});
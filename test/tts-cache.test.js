@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { TTSCache } from '../lib/tts.js';
+
+test('prunes to the low-water mark once over the limit, then not again until it refills', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'solwaifu-tts-'));
+    try {
+        const cache = new TTSCache(dir, { maxEntries: 5, lowWater: 3 });
+        const files = () => readdirSync(dir).filter(name => name.endsWith('.mp3')).length;
+
+        for (let i = 1; i <= 5; i++) await cache.set(`line-${i}`, Buffer.from('mp3'));
+        assert.equal(files(), 5);
+
+        await cache.set('line-6', Buffer.from('mp3'));
+        assert.equal(files(), 3);
+
+        await cache.set('line-7', Buffer.from('mp3'));
+        await cache.set('line-8', Buffer.from('mp3'));
+        assert.equal(files(), 5);
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
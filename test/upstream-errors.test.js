@@ -0,0 +1,122 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleChatRequest, setProvider } from '../lib/chat-proxy.js';
+import { createProviderChain } from '../lib/providers/index.js';
+import { createMockFetch } from '../lib/mock-anthropic.js';
+import { chatRequest, configureTestProxy, drain, parseEvents, startServer, userMessage } from './helpers.js';
+
+// Mock upstream driven by [mock:...] directives; `models` records every attempt
+function useUpstream({ script = null, ...chain } = {}) {
+    const mockFetch = createMockFetch({ script, latency: 0, chunkDelay: 0 });
+    const models = [];
+    setProvider(createProviderChain({
+        name: 'anthropic',
+        apiKey: 'mock',
+        model: 'main-model',
+        retryBaseDelayMs: 0,
+        ...chain,
+        fetch: (url, init) => {
+            models.push(JSON.parse(init.body).model);
+            return mockFetch(url, init);
+        },
+    }));
+    return models;
+}
+
+async function chat(text, fields = {}) {
+    const result = await handleChatRequest(chatRequest({ ...userMessage(text), ...fields }));
+    return { ...result, json: result.body ? JSON.parse(result.body) : null };
+}
+
+before(() => configureTestProxy());
+
+test('upstream statuses map to the error codes the page answers in character', async (t) => {
+    const cases = [
+        ['[mock:429]', 503, 'upstream_rate_limited'],
+        ['[mock:529]', 503, 'upstream_overloaded'],
+        ['[mock:500]', 502, 'upstream_error'],
+        ['[mock:401]', 502, 'upstream_auth'],
+    ];
+    for (const [directive, status, code] of cases) {
+        await t.test(directive, async () => {
+            useUpstream({ retries: 0 });
+            const result = await chat(`hi ${directive}`);
+            assert.equal(result.status, status);
+            assert.equal(result.json.code, code);
+        });
+    }
+});
+
+test('retries each model, then falls back to the next one', async () => {
+    const models = useUpstream({ retries: 2, fallbackModels: ['backup-model'] });
+    const result = await chat('hi [mock:529]');
+    assert.equal(result.json.code, 'upstream_overloaded');
+    assert.deepEqual(models, ['main-model', 'main-model', 'main-model', 'backup-model', 'backup-model', 'backup-model']);
+});
+
+test('a retry that succeeds answers normally', async () => {
+    const models = useUpstream({ retries: 1, script: [{ status: 429 }, { text: 'made it 😮‍💨' }] });
+    const result = await chat('hi');
+    assert.equal(result.status, 200);
+    assert.equal(result.json.content[0].text, 'made it 😮‍💨');
+    assert.equal(models.length, 2);
+});
+
+test('the fallback model answers when the main one is down', async () => {
+    const models = useUpstream({ retries: 0, fallbackModels: ['backup-model'], script: [{ status: 500 }, { text: 'backup here' }] });
+    const result = await chat('hi');
+    assert.equal(result.status, 200);
+    assert.equal(result.json.model, 'backup-model');
+    assert.deepEqual(models, ['main-model', 'backup-model']);
+});
+
+test('auth errors are not retried', async () => {
+    const models = useUpstream({ retries: 2, fallbackModels: ['backup-model'] });
+    assert.equal((await chat('hi [mock:401]')).json.code, 'upstream_auth');
+    assert.deepEqual(models, ['main-model']);
+});
+
+test('a slow upstream times out with 504 after every attempt', async () => {
+    const models = useUpstream({ retries: 1, timeoutMs: 50 });
+    const result = await chat('hi [mock:slow]');
+    assert.equal(result.status, 504);
+    assert.equal(result.json.code, 'upstream_timeout');
+    assert.equal(models.length, 2);
+});
+
+test('an error mid-stream ends the stream with an error event', async () => {
+    useUpstream({ retries: 0 });
+    const result = await handleChatRequest(chatRequest({ ...userMessage('hi [mock:stream-error]'), stream: true }));
+    assert.equal(result.status, 200);
+
+    const events = parseEvents(await drain(result.stream));
+    assert.equal(events.at(-1).event, 'error');
+    assert.equal(events.at(-1).data.code, 'upstream_error');
+    assert.ok(!events.some(event => event.event === 'done'));
+});
+
+test('a failed stream open answers JSON before any event is sent', async () => {
+    useUpstream({ retries: 0 });
+    const result = await chat('hi [mock:429]', { stream: true });
+    assert.equal(result.status, 503);
+    assert.equal(result.json.code, 'upstream_rate_limited');
+});
+
+test('server.js: retries and upstream errors show up in /metrics', async (t) => {
+    const server = await startServer({ LLM_RETRIES: '1', LLM_FALLBACK_MODELS: 'backup-model' });
+    t.after(() => server.stop());
+
+    const response = await fetch(`${server.url}/api/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(userMessage('hi [mock:529]')),
+    });
+    assert.equal(response.status, 503);
+    assert.equal((await response.json()).code, 'upstream_overloaded');
+
+    const metrics = await (await fetch(`${server.url}/metrics`)).text();
+    assert.match(metrics, /solwaifu_upstream_retries_total\{upstream="anthropic"\} 3/);
+    assert.match(metrics, /solwaifu_upstream_errors_total\{upstream="anthropic",status="529"\} 1/);
+});
+
+after(() => configureTestProxy());
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CHAT_LIMITS, validateChatPayload } from '../lib/validation.js';
+
+const hello = [{ role: 'user', content: 'hi sol' }];
+
+test('accepts a plain chat and the optional fields', () => {
+    assert.equal(validateChatPayload({ messages: hello }), null);
+    assert.equal(validateChatPayload({
+        persona: 'sol',
+        stream: true,
+        summary: 'they talked about cats',
+        memories: ['name is Ana'],
+        messages: [
+            { role: 'user', content: [{ type: 'text', text: 'hi' }] },
+            { role: 'assistant', content: 'hiii 👀' },
+            { role: 'user', content: 'how are u' },
+        ],
+    }), null);
+});
+
+test('rejects bodies that are not objects', () => {
+    for (const body of [null, [], 'hi', 42]) {
+        assert.equal(validateChatPayload(body), 'Request body must be a JSON object');
+    }
+});
+
+test('checks field types', () => {
+    assert.equal(validateChatPayload({ messages: hello, persona: 3 }), '`persona` must be a string');
+    assert.equal(validateChatPayload({ messages: hello, stream: 'yes' }), '`stream` must be a boolean');
+    assert.equal(validateChatPayload({ messages: hello, summary: {} }), '`summary` must be a string');
+    assert.equal(validateChatPayload({ messages: hello, memories: ['ok', ''] }), '`memories` must be an array of non-empty strings');
+});
+
+test('enforces the abuse limits', () => {
+    const long = 'x'.repeat(CHAT_LIMITS.MAX_MESSAGE_CHARS + 1);
+    assert.match(validateChatPayload({ messages: [{ role: 'user', content: long }] }), /messages\[0\] is too long/);
+    assert.match(validateChatPayload({ messages: hello, summary: 'x'.repeat(CHAT_LIMITS.MAX_SUMMARY_CHARS + 1) }), /`summary` is too long/);
+    assert.match(validateChatPayload({ messages: hello, memories: Array(CHAT_LIMITS.MAX_MEMORIES + 1).fill('a') }), /Too many memories/);
+    assert.match(validateChatPayload({ messages: hello, memories: ['x'.repeat(CHAT_LIMITS.MAX_MEMORY_CHARS + 1)] }), /at most/);
+
+    const messages = Array.from({ length: CHAT_LIMITS.MAX_MESSAGES + 1 }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: 'hi' }));
+    assert.match(validateChatPayload({ messages }), /Too many messages/);
+});
+
+test('checks message shape and turn order', () => {
+    assert.equal(validateChatPayload({ messages: [] }), '`messages` must be a non-empty array');
+    assert.equal(validateChatPayload({ messages: [{ role: 'system', content: 'hi' }] }), 'messages[0].role must be "user" or "assistant"');
+    assert.match(validateChatPayload({ messages: [{ role: 'assistant', content: 'hi' }] }), /roles alternate/);
+    assert.equal(validateChatPayload({ messages: [{ role: 'user', content: '  ' }] }), 'messages[0].content must not be empty');
+    assert.equal(validateChatPayload({ messages: [{ role: 'user', content: [{ type: 'image' }] }] }), 'messages[0].content may only contain text blocks');
+    assert.equal(validateChatPayload({ messages: [...hello, { role: 'assistant', content: 'hey' }] }), 'The last message must be from the user');
+});